@@ -1,80 +1,803 @@
 // Background script for managing extension state
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  whitelist: [],
-  blurIntensity: 10,
-};
+importScripts(
+  "rules.js",
+  "settings.js",
+  "lock.js",
+  "stats.js",
+  "classifiers.js",
+  "image-hash.js"
+);
+
+const SCHEDULE_ALARM = "schedule-check";
+const PAUSE_ALARM_PREFIX = "pause:";
+
+// Intensity step used by keyboard shortcuts
+const INTENSITY_STEP = 5;
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.sync.get(["settings"], (result) => {
-    if (!result.settings) {
-      chrome.storage.sync.set({ settings: DEFAULT_SETTINGS });
-    }
-  });
+  upgradeStoredSettings();
+  createContextMenus();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  upgradeStoredSettings();
 });
 
 // Handle messages from content script and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Settings of the set that applies to the caller's tab (the popup says
+  // whether it's incognito), or of the set named by settingSet
   if (request.action === "getSettings") {
-    chrome.storage.sync.get(["settings"], (result) => {
-      sendResponse(result.settings || DEFAULT_SETTINGS);
-    });
+    loadSettingsForSet(request.settingSet, request.incognito, (settings) =>
+      sendResponse(settings || SETTINGS_UNAVAILABLE_RESPONSE)
+    );
     return true;
   }
 
   if (request.action === "updateSettings") {
-    chrome.storage.sync.set({ settings: request.settings }, () => {
+    whenUnlocked(
+      () =>
+        storeSettingsForSet(
+          request.settings,
+          request.settings && request.settings.settingSet,
+          sendResponse
+        ),
+      () => sendResponse(LOCKED_RESPONSE)
+    );
+    return true;
+  }
+
+  // Revealing everything on a page is gated like a settings change
+  if (request.action === "unblurAll") {
+    whenUnlocked(
+      () => {
+        sendToTab(request.tabId, { action: "unblurAll" });
+        sendResponse({ success: true });
+      },
+      () => sendResponse(LOCKED_RESPONSE)
+    );
+    return true;
+  }
+
+  // Counts are per tab; frames of the tab add to the same page totals.
+  // Incognito sites get no lifetime totals, which would outlive the session.
+  if (request.action === "reportStats") {
+    if (sender.tab) {
+      const site = sender.tab.incognito ? null : getHostname(sender.tab.url);
+      recordStats(sender.tab.id, site, request.stats);
+    }
+    return;
+  }
+
+  if (request.action === "getStats") {
+    getStats(request, sendResponse);
+    return true;
+  }
+
+  if (request.action === "resetStats") {
+    resetStats(request.site, () => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.action === "getStorageUsage") {
+    getStorageUsage(sendResponse);
+    return true;
+  }
+
+  if (request.action === "exportSettings") {
+    loadSettings((settings) =>
+      sendResponse(
+        settings ? exportSettings(settings) : SETTINGS_UNAVAILABLE_RESPONSE
+      )
+    );
+    return true;
+  }
+
+  if (request.action === "importSettings") {
+    whenUnlocked(
+      () => importSettings(request.data, request.merge, sendResponse),
+      () => sendResponse(LOCKED_RESPONSE)
+    );
+    return true;
+  }
+
+  if (request.action === "authorizeReveal") {
+    authorizeReveal(sendResponse);
+    return true;
+  }
+
+  if (request.action === "getLockState") {
+    getLockState(sendResponse);
+    return true;
+  }
+
+  if (request.action === "unlock") {
+    unlock(request.password, sendResponse);
+    return true;
+  }
+
+  if (request.action === "lock") {
+    lockNow(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.action === "setPassword") {
+    setPassword(request.password, sendResponse);
+    return true;
+  }
+
+  if (request.action === "removePassword") {
+    removePassword(sendResponse);
+    return true;
+  }
+
+  if (request.action === "updateLockOptions") {
+    updateLockOptions(request, sendResponse);
+    return true;
+  }
+
+  // Effective settings for the requesting page, with its site profile and
+  // any pause applied
+  if (request.action === "getSiteSettings") {
+    const tabId = request.tabId || (sender.tab && sender.tab.id);
+    loadSiteSettings(
+      request.url,
+      tabId,
+      isIncognitoRequest(request, sender),
+      sendResponse
+    );
+    return true;
+  }
+
+  // Classifier score and perceptual hash of one image, fetched and
+  // decoded here. Incognito pages' images are never fetched from here.
+  if (request.action === "inspectImage") {
+    if (sender.tab && sender.tab.incognito) {
+      sendResponse({ score: null, hash: null });
+      return;
+    }
+    inspectImage(request.url, request.classifier, sendResponse);
+    return true;
+  }
+
+  // "Always show" is a lasting exception, so it needs unlocking like a
+  // settings change; "always blur" only blurs more and never does
+  if (request.action === "rememberImage") {
+    if (sender.tab && sender.tab.incognito) {
+      sendResponse({
+        success: false,
+        error: "Images can't be remembered in incognito",
+      });
+      return;
+    }
+    const remember = () =>
+      rememberImage(request.url, request.listAction, sendResponse);
+    if (request.listAction === "blur") {
+      remember();
+    } else {
+      whenUnlocked(remember, () => sendResponse(LOCKED_RESPONSE));
+    }
+    return true;
+  }
+
+  if (request.action === "removeImageHash") {
+    whenUnlocked(
+      () =>
+        removeImageHash(request.hash, () => sendResponse({ success: true })),
+      () => sendResponse(LOCKED_RESPONSE)
+    );
+    return true;
+  }
+
+  // Incognito reveals are not remembered, as they name the site and image
+  if (request.action === "rememberReveal") {
+    if (sender.tab && sender.tab.incognito) {
       sendResponse({ success: true });
-    });
+      return;
+    }
+    rememberReveals(request.keys, () => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.action === "clearRememberedReveals") {
+    clearRememberedReveals(request.site, () =>
+      sendResponse({ success: true })
+    );
+    return true;
+  }
+
+  if (request.action === "pause") {
+    whenUnlocked(
+      () => pauseBlurring(request, () => sendResponse({ success: true })),
+      () => sendResponse(LOCKED_RESPONSE)
+    );
     return true;
   }
 
-  if (request.action === "checkWhitelist") {
-    chrome.storage.sync.get(["settings"], (result) => {
-      const settings = result.settings || DEFAULT_SETTINGS;
-      const hostname = new URL(request.url).hostname;
-      const isWhitelisted = settings.whitelist.some(
-        (domain) => hostname === domain || hostname.endsWith("." + domain)
+  if (request.action === "resume") {
+    resumeBlurring(request, () => sendResponse({ success: true }));
+    return true;
+  }
+});
+
+// Content scripts are known to run in incognito tabs by their sender; the
+// popup says so itself
+function isIncognitoRequest(request, sender) {
+  return !!(request.incognito || (sender.tab && sender.tab.incognito));
+}
+
+// Most specific site profile matching a URL, if any. Profile keys are
+// rules too, so a profile can target a path or a wildcard host.
+function findSiteProfile(settings, url) {
+  const profiles = settings.siteProfiles || {};
+  const rule = findMatchingRule(Object.keys(profiles), url);
+  if (!rule || rule.negated) return null;
+  return { domain: rule.text, profile: profiles[rule.text] };
+}
+
+function resolveSiteSettings(settings, url, pauses = null, tabId = null) {
+  const match = findSiteProfile(settings, url);
+  const profile = match ? match.profile : {};
+  const schedule = findActiveSchedule(settings, url);
+
+  return {
+    ...settings,
+    paused: findActivePause(pauses, url, tabId),
+    enabled: schedule ? schedule.action === "on" : settings.enabled,
+    activeSchedule: schedule ? schedule.name : null,
+    blurIntensity: profile.blurIntensity || settings.blurIntensity,
+    obfuscation: profile.obfuscation || settings.obfuscation,
+    mediaTypes: profile.mediaTypes || MEDIA_TYPES,
+    ...getSelectorRules(settings, url),
+    profileDomain: match ? match.domain : null,
+    shouldBlur: shouldBlurUrl(settings, url),
+  };
+}
+
+// Selectors of the element rules that apply to a URL, by action
+function getSelectorRules(settings, url) {
+  const rules = (settings.selectorRules || []).filter(
+    (rule) => !rule.site || matchesUrlRules([rule.site], url)
+  );
+  const selectorsFor = (action) =>
+    rules.filter((rule) => rule.action === action).map((rule) => rule.selector);
+
+  return {
+    blurSelectors: selectorsFor("blur"),
+    showSelectors: selectorsFor("show"),
+  };
+}
+
+// Settings of the tab's setting set and session-scoped pauses, resolved
+// for one page. Calls back with null while no settings can be read.
+function loadSiteSettings(url, tabId, incognito, callback) {
+  loadSettingsForSet(null, incognito, (settings) => {
+    if (!settings) {
+      callback(null);
+      return;
+    }
+
+    getPauses((pauses) => {
+      callback(resolveSiteSettings(settings, url, pauses, tabId));
+    });
+  });
+}
+
+// Effective decision for a page, based on the whitelist/blocklist mode
+function shouldBlurUrl(settings, url) {
+  if (settings.mode === "blocklist") {
+    return matchesUrlRules(settings.blocklist, url);
+  }
+  return !matchesUrlRules(settings.whitelist, url);
+}
+
+function parseScheduleTime(time) {
+  const [hours, minutes] = String(time || "0:0").split(":").map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+// Whether a schedule's window covers the given time. Windows ending before
+// they start run overnight, into the following day.
+function isScheduleActive(schedule, date = new Date()) {
+  const days = schedule.days || [];
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = parseScheduleTime(schedule.start);
+  const end = parseScheduleTime(schedule.end);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  if (start <= end) {
+    return days.includes(today) && now >= start && now < end;
+  }
+  return (
+    (days.includes(today) && now >= start) ||
+    (days.includes(yesterday) && now < end)
+  );
+}
+
+// First active schedule that applies to a URL, if any
+function findActiveSchedule(settings, url, date = new Date()) {
+  return (
+    (settings.schedules || []).find(
+      (schedule) =>
+        isScheduleActive(schedule, date) &&
+        (!schedule.sites ||
+          schedule.sites.length === 0 ||
+          matchesUrlRules(schedule.sites, url))
+    ) || null
+  );
+}
+
+// Check schedules every minute; when the set of active schedules changes,
+// store it so open tabs re-resolve their settings via storage.onChanged
+chrome.alarms.get(SCHEDULE_ALARM, (alarm) => {
+  if (!alarm) {
+    chrome.alarms.create(SCHEDULE_ALARM, { periodInMinutes: 1 });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    checkSchedules();
+  }
+});
+
+function checkSchedules() {
+  loadSettings((settings) => {
+    if (!settings) return;
+
+    const activeSchedules = (settings.schedules || [])
+      .filter((schedule) => isScheduleActive(schedule))
+      .map((schedule) => schedule.id);
+
+    chrome.storage.local.get(["activeSchedules"], (stored) => {
+      const previous = stored.activeSchedules || [];
+      if (previous.join(",") === activeSchedules.join(",")) return;
+
+      chrome.storage.local.set({ activeSchedules }, () => {
+        updateAllBadges();
+      });
+    });
+  });
+}
+
+// Remembered reveals: { "site|url": timestamp } in storage.local, where
+// site is "*" for reveals that apply everywhere. Expired entries are
+// dropped and the oldest ones go first once the cap is reached.
+function rememberReveals(keys, callback) {
+  loadSettings((settings) => {
+    if (!settings) {
+      callback();
+      return;
+    }
+
+    const options = settings.rememberReveals;
+
+    chrome.storage.local.get(["revealedImages"], (stored) => {
+      const now = Date.now();
+      const maxAge = (options.expiryDays || 0) * 24 * 60 * 60 * 1000;
+
+      const entries = Object.entries(stored.revealedImages || {}).filter(
+        ([, revealedAt]) => !maxAge || now - revealedAt < maxAge
+      );
+      const revealedImages = Object.fromEntries(entries);
+      for (const key of keys || []) {
+        revealedImages[key] = now;
+      }
+
+      const sorted = Object.entries(revealedImages).sort((a, b) => b[1] - a[1]);
+      chrome.storage.local.set(
+        {
+          revealedImages: Object.fromEntries(
+            sorted.slice(0, options.maxEntries || 500)
+          ),
+        },
+        callback
       );
-      sendResponse({ isWhitelisted, enabled: settings.enabled });
     });
-    return true;
+  });
+}
+
+// Forget remembered reveals for one site, or all of them
+function clearRememberedReveals(site, callback) {
+  if (!site) {
+    chrome.storage.local.set({ revealedImages: {} }, callback);
+    return;
   }
+
+  chrome.storage.local.get(["revealedImages"], (stored) => {
+    const revealedImages = Object.fromEntries(
+      Object.entries(stored.revealedImages || {}).filter(
+        ([key]) => !key.startsWith(site + "|")
+      )
+    );
+    chrome.storage.local.set({ revealedImages }, callback);
+  });
+}
+
+// Temporary pauses live in session storage, so they never outlive the
+// browser session: { global: until, sites: { hostname: until },
+// tabs: { tabId: hostname } }. Tab pauses last until the tab closes.
+function getPauses(callback) {
+  chrome.storage.session.get(["pauses"], (result) => {
+    callback({ global: null, sites: {}, tabs: {}, ...result.pauses });
+  });
+}
+
+function setPauses(pauses, callback) {
+  chrome.storage.session.set({ pauses }, () => {
+    // Re-run the blur pipeline in open tabs and refresh their badges
+    notifyAllTabs({ action: "refreshSettings" });
+    updateAllBadges();
+    if (callback) callback();
+  });
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The pause covering a page, as { scope, until } (until is null for tab
+// pauses), or null when blurring isn't paused
+function findActivePause(pauses, url, tabId) {
+  if (!pauses) return null;
+
+  const now = Date.now();
+  const hostname = getHostname(url);
+
+  if (tabId != null && hostname && pauses.tabs[tabId] === hostname) {
+    return { scope: "tab", until: null };
+  }
+  if (hostname && pauses.sites[hostname] > now) {
+    return { scope: "site", until: pauses.sites[hostname] };
+  }
+  if (pauses.global > now) {
+    return { scope: "global", until: pauses.global };
+  }
+  return null;
+}
+
+function pauseBlurring({ scope, minutes, url, tabId }, callback) {
+  const hostname = getHostname(url);
+  const until = minutes ? Date.now() + minutes * 60 * 1000 : null;
+
+  getPauses((pauses) => {
+    if (scope === "global") {
+      pauses.global = until;
+      chrome.alarms.create(PAUSE_ALARM_PREFIX + "global", { when: until });
+    } else if (scope === "site" && hostname) {
+      pauses.sites[hostname] = until;
+      chrome.alarms.create(PAUSE_ALARM_PREFIX + hostname, { when: until });
+    } else if (scope === "tab" && hostname && tabId != null) {
+      pauses.tabs[tabId] = hostname;
+    }
+    setPauses(pauses, callback);
+  });
+}
+
+// Lift every pause covering a page
+function resumeBlurring({ url, tabId }, callback) {
+  const hostname = getHostname(url);
+
+  getPauses((pauses) => {
+    pauses.global = null;
+    chrome.alarms.clear(PAUSE_ALARM_PREFIX + "global");
+    if (hostname) {
+      delete pauses.sites[hostname];
+      chrome.alarms.clear(PAUSE_ALARM_PREFIX + hostname);
+    }
+    if (tabId != null) {
+      delete pauses.tabs[tabId];
+    }
+    setPauses(pauses, callback);
+  });
+}
+
+function expirePauses() {
+  getPauses((pauses) => {
+    const now = Date.now();
+    if (pauses.global && pauses.global <= now) {
+      pauses.global = null;
+    }
+    for (const [hostname, until] of Object.entries(pauses.sites)) {
+      if (until <= now) {
+        delete pauses.sites[hostname];
+      }
+    }
+    setPauses(pauses);
+  });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(PAUSE_ALARM_PREFIX)) {
+    expirePauses();
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabStats(tabId);
+  getPauses((pauses) => {
+    if (pauses.tabs[tabId]) {
+      delete pauses.tabs[tabId];
+      chrome.storage.session.set({ pauses });
+    }
+  });
 });
 
+function notifyAllTabs(message) {
+  chrome.tabs.query({}, (tabs) => {
+    for (const tab of tabs) {
+      sendToTab(tab.id, message);
+    }
+  });
+}
+
+// Keyboard shortcuts (remappable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === "toggle-extension") {
+    updateStoredSettings(tab, (settings) => {
+      settings.enabled = !settings.enabled;
+    });
+    return;
+  }
+
+  if (!tab || !tab.url) return;
+
+  if (command === "toggle-site") {
+    updateStoredSettings(tab, (settings) =>
+      toggleSiteListing(settings, tab.url)
+    );
+  } else if (command === "unblur-all") {
+    whenUnlocked(() => sendToTab(tab.id, { action: "unblurAll" }));
+  } else if (command === "reblur-all") {
+    sendToTab(tab.id, { action: "reblurAll" });
+  } else if (command === "intensity-up" || command === "intensity-down") {
+    const step = command === "intensity-up" ? INTENSITY_STEP : -INTENSITY_STEP;
+    updateStoredSettings(tab, (settings) => {
+      const intensity = stepIntensity(settings, tab.url, step);
+      sendToTab(tab.id, { action: "updateBlurIntensity", intensity });
+    });
+  }
+});
+
+// Settings changes from shortcuts and menus respect the password lock and
+// go to the setting set that applies to the tab
+function updateStoredSettings(tab, mutate, callback) {
+  whenUnlocked(() => {
+    const incognito = !!(tab && tab.incognito);
+    loadSettingsForSet(null, incognito, (settings, unresolved) => {
+      // Never change settings that were only partly read
+      if (unresolved) return;
+
+      mutate(settings);
+      storeSettingsForSet(settings, settings.settingSet, callback);
+    });
+  });
+}
+
+// Same as the popup's current-site button: toggles the list of the
+// active mode
+function toggleSiteListing(settings, url) {
+  const hostname = getHostname(url);
+  if (!hostname) return;
+
+  const listKey = settings.mode === "blocklist" ? "blocklist" : "whitelist";
+  const list = settings[listKey] || (settings[listKey] = []);
+  const index = list.indexOf(hostname);
+  if (index > -1) {
+    list.splice(index, 1);
+  } else {
+    list.push(hostname);
+  }
+}
+
+// Change the intensity that applies to a page: its site profile's if it
+// has one, the global one otherwise. Returns the new intensity.
+function stepIntensity(settings, url, step) {
+  const match = findSiteProfile(settings, url);
+  const target = match ? match.profile : settings;
+  const current = target.blurIntensity || settings.blurIntensity;
+
+  target.blurIntensity = Math.min(
+    INTENSITY_MAX,
+    Math.max(INTENSITY_MIN, current + step)
+  );
+  return target.blurIntensity;
+}
+
+// Context menu entries persist across service worker restarts, so they
+// are only (re)created on install/update
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: "unblur-element",
+      title: "Unblur this image",
+      contexts: ["image", "video", "page"],
+    });
+    chrome.contextMenus.create({
+      id: "blur-element",
+      title: "Blur this image",
+      contexts: ["image", "video", "page"],
+    });
+    chrome.contextMenus.create({
+      id: "always-show-host",
+      title: "Always show images from this host",
+      contexts: ["image", "video", "page"],
+    });
+    chrome.contextMenus.create({
+      id: "whitelist-site",
+      title: "Whitelist this site",
+      contexts: ["page", "image", "video", "link"],
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab) return;
+
+  // Act in the frame that was clicked, on the exact element
+  const frame = { frameId: info.frameId || 0 };
+
+  if (info.menuItemId === "unblur-element") {
+    authorizeReveal(({ allowed }) => {
+      if (!allowed) return;
+      sendToTab(tab.id, { action: "contextUnblur", srcUrl: info.srcUrl }, frame);
+    });
+  } else if (info.menuItemId === "blur-element") {
+    sendToTab(tab.id, { action: "contextBlur", srcUrl: info.srcUrl }, frame);
+  } else if (info.menuItemId === "always-show-host") {
+    resolveContextSource(info, tab, (srcUrl) => {
+      const hostname = getHostname(srcUrl);
+      if (!hostname) return;
+
+      updateStoredSettings(tab, (settings) => {
+        const rules =
+          settings.alwaysShowSources || (settings.alwaysShowSources = []);
+        if (!rules.includes(hostname)) {
+          rules.push(hostname);
+        }
+      });
+    });
+  } else if (info.menuItemId === "whitelist-site") {
+    updateStoredSettings(tab, (settings) =>
+      exemptSite(settings, info.pageUrl)
+    );
+  }
+});
+
+// URL of the clicked media: reported by the browser for <img>/<video>,
+// looked up by the content script for everything else
+function resolveContextSource(info, tab, callback) {
+  if (info.srcUrl && getHostname(info.srcUrl)) {
+    callback(info.srcUrl);
+    return;
+  }
+
+  chrome.tabs
+    .sendMessage(
+      tab.id,
+      { action: "getContextSource", srcUrl: info.srcUrl },
+      { frameId: info.frameId || 0 }
+    )
+    .then((response) => callback(response && response.url))
+    .catch(() => {
+      // Ignore frames without the content script
+    });
+}
+
+// Stop blurring a site in either mode: whitelist it, or take it off the
+// blocklist
+function exemptSite(settings, url) {
+  const hostname = getHostname(url);
+  if (!hostname) return;
+
+  if (settings.mode === "blocklist") {
+    settings.blocklist = (settings.blocklist || []).filter(
+      (domain) => domain !== hostname
+    );
+    // Still covered by a broader rule: exclude the site explicitly
+    if (matchesUrlRules(settings.blocklist, url)) {
+      settings.blocklist.push("!" + hostname);
+    }
+  } else if (!matchesUrlRules(settings.whitelist, url)) {
+    settings.whitelist.push(hostname);
+  }
+}
+
+function sendToTab(tabId, message, options = {}) {
+  chrome.tabs.sendMessage(tabId, message, options).catch(() => {
+    // Ignore tabs without the content script
+  });
+}
+
 // Update badge based on current tab
 chrome.tabs.onActivated.addListener((activeInfo) => {
   updateBadge(activeInfo.tabId);
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Page counts start over with every page load
+  if (changeInfo.status === "loading") {
+    clearTabStats(tabId);
+  }
   if (changeInfo.status === "complete") {
     updateBadge(tabId);
   }
 });
 
+// Keep badges in sync when settings (e.g. schedules) are edited
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.settings) {
+    updateAllBadges();
+  }
+});
+
+function updateAllBadges() {
+  chrome.tabs.query({}, (tabs) => {
+    for (const tab of tabs) {
+      updateBadge(tab.id);
+    }
+  });
+}
+
 function updateBadge(tabId) {
   chrome.tabs.get(tabId, (tab) => {
     if (tab.url) {
-      chrome.storage.sync.get(["settings"], (result) => {
-        const settings = result.settings || DEFAULT_SETTINGS;
+      loadSiteSettings(tab.url, tabId, tab.incognito, (settings) => {
+        if (!settings) return;
+
+        // Schedule-driven state gets its own color and a tooltip, and so
+        // does a setting set other than the default one
+        const schedule = settings.activeSchedule;
+        const set = settings.settingSets.find(
+          (other) => other.id === settings.settingSet
+        );
+        const details = [
+          set ? `set: ${set.name}` : null,
+          schedule ? `schedule: ${schedule}` : null,
+        ].filter(Boolean);
+        chrome.action.setTitle({
+          title: details.length
+            ? `Image Blur Filter (${details.join(", ")})`
+            : "Image Blur Filter",
+          tabId,
+        });
+
+        if (settings.paused) {
+          chrome.action.setBadgeText({ text: "II", tabId });
+          chrome.action.setBadgeBackgroundColor({ color: "#FF9800", tabId });
+          return;
+        }
+
         if (!settings.enabled) {
           chrome.action.setBadgeText({ text: "OFF", tabId });
-          chrome.action.setBadgeBackgroundColor({ color: "#666", tabId });
+          chrome.action.setBadgeBackgroundColor({
+            color: schedule ? "#607D8B" : "#666",
+            tabId,
+          });
           return;
         }
 
-        const hostname = new URL(tab.url).hostname;
-        const isWhitelisted = settings.whitelist.some(
-          (domain) => hostname === domain || hostname.endsWith("." + domain)
-        );
-
-        if (isWhitelisted) {
+        if (!settings.shouldBlur) {
           chrome.action.setBadgeText({ text: "", tabId });
         } else {
-          chrome.action.setBadgeText({ text: "ON", tabId });
-          chrome.action.setBadgeBackgroundColor({ color: "#4CAF50", tabId });
+          // Number of media blurred on the page, once there are any
+          getTabStats(tabId, (stats) => {
+            const blurred = countBlurred(stats);
+            chrome.action.setBadgeText({
+              text: blurred > 999 ? "999+" : blurred > 0 ? `${blurred}` : "ON",
+              tabId,
+            });
+          });
+          chrome.action.setBadgeBackgroundColor({
+            color: schedule ? "#2196F3" : set ? set.color : "#4CAF50",
+            tabId,
+          });
         }
       });
     }
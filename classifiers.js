@@ -0,0 +1,123 @@
+// On-device image classifiers. The background fetches an image, scales it
+// down with createImageBitmap and reads its pixels from an OffscreenCanvas,
+// so content scripts never need access to cross-origin pixels. Scores run
+// from 0 (harmless) to 1 (sensitive); content scripts compare them with the
+// user's threshold. Nothing leaves the device. The same pass computes the
+// image's perceptual hash (see image-hash.js).
+//
+// Classifier fields:
+//   name        - unique identifier, stored as settings.classifier.name
+//   size        - width and height images are scaled to before scoring
+//   classify()  - score for an ImageData, or a promise of one
+
+const CLASSIFIER_CACHE_SIZE = 500;
+
+const IMAGE_CLASSIFIERS = [
+  {
+    name: "skin-tone",
+    size: 64,
+    classify: scoreSkinTone,
+  },
+];
+
+// Inspections by classifier and URL, as promises so concurrent requests
+// for the same image share one fetch. Oldest entries are dropped first.
+const imageInspections = new Map();
+
+// Skin under daylight, after the RGB rule of Kovac, Peer and Solina (2003)
+function isSkinPixel(red, green, blue) {
+  return (
+    red > 95 &&
+    green > 40 &&
+    blue > 20 &&
+    Math.max(red, green, blue) - Math.min(red, green, blue) > 15 &&
+    Math.abs(red - green) > 15 &&
+    red > green &&
+    red > blue
+  );
+}
+
+// Share of visible pixels in skin tones. Crude, but cheap enough to run
+// on every image of a page.
+function scoreSkinTone(imageData) {
+  const { data } = imageData;
+  let visible = 0;
+  let skin = 0;
+
+  for (let index = 0; index < data.length; index += 4) {
+    if (data[index + 3] < 128) continue;
+
+    visible++;
+    if (isSkinPixel(data[index], data[index + 1], data[index + 2])) {
+      skin++;
+    }
+  }
+  return visible > 0 ? skin / visible : 0;
+}
+
+function getClassifier(name) {
+  return (
+    IMAGE_CLASSIFIERS.find((classifier) => classifier.name === name) ||
+    IMAGE_CLASSIFIERS[0]
+  );
+}
+
+async function fetchImage(url) {
+  // Without cookies: the worker is shared with incognito tabs, and a
+  // cookie would tie their images to the normal profile
+  const response = await fetch(url, { credentials: "omit" });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.blob();
+}
+
+async function decodeImagePixels(blob, width, height) {
+  const bitmap = await createImageBitmap(blob, {
+    resizeWidth: width,
+    resizeHeight: height,
+    resizeQuality: "low",
+  });
+  const context = new OffscreenCanvas(width, height).getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return context.getImageData(0, 0, width, height);
+}
+
+async function runInspection(url, classifier) {
+  const blob = await fetchImage(url);
+  const hash = computeDHash(
+    await decodeImagePixels(blob, IMAGE_HASH_WIDTH, IMAGE_HASH_HEIGHT)
+  );
+  if (!classifier) {
+    return { score: null, hash };
+  }
+
+  const pixels = await decodeImagePixels(
+    blob,
+    classifier.size,
+    classifier.size
+  );
+  const score = await classifier.classify(pixels);
+  return { score: Math.min(1, Math.max(0, Number(score) || 0)), hash };
+}
+
+// Calls back with { score, hash } for an image: score from the named
+// classifier (null without one), and its perceptual hash. Both are null
+// when the image can't be fetched or decoded (e.g. blob: URLs of the page,
+// or SVG).
+function inspectImage(url, name, callback) {
+  const classifier = name ? getClassifier(name) : null;
+  const key = `${classifier ? classifier.name : ""}|${url}`;
+
+  if (!imageInspections.has(key)) {
+    imageInspections.set(
+      key,
+      runInspection(url, classifier).catch(() => ({ score: null, hash: null }))
+    );
+    if (imageInspections.size > CLASSIFIER_CACHE_SIZE) {
+      imageInspections.delete(imageInspections.keys().next().value);
+    }
+  }
+  imageInspections.get(key).then(callback);
+}
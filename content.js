@@ -1,13 +1,64 @@
 // High-performance content script for instant image blurring
+// Media sources (MEDIA_SOURCES) are defined in media-sources.js
+
+// SVG filter used by the "pixelate" obfuscation style
+const PIXELATE_FILTER_ID = "blur-extension-pixelate";
+
+// Marks media kept blurred while the background scores and hashes it. The
+// value is the source's blurStyle, as pseudo-element images blur
+// differently.
+const INSPECTING_ATTRIBUTE = "data-blur-inspecting";
+
+// Attributes keywords are matched against, besides file names and captions
+const KEYWORD_ATTRIBUTES = ["alt", "title", "aria-label"];
+
 class ImageBlurFilter {
   constructor() {
     this.settings = null;
     this.isWhitelisted = false;
-    this.observer = null;
+    // Set on pages the mode doesn't blur, where only "always blur images
+    // from" rules still apply
+    this.sourceRulesOnly = false;
     this.intersectionObserver = null;
+    // Document plus open shadow roots and script-less same-origin frame
+    // documents found while scanning, each mapped to its MutationObserver
+    this.roots = new Map([[document, null]]);
     this.blurredElements = new Set();
+    this.elementSources = new Map();
+    this.sourceSelectors = new Map();
     this.overlays = new Map();
+    this.overlayLayers = new Map();
     this.processingQueue = new Set();
+    this.videoPlayHandlers = new Map();
+    this.fallbackInterval = null;
+    this.contextTarget = null;
+    // Remembered reveals from storage.local: "site|url" -> timestamp
+    this.revealedImages = {};
+    // Set by reblurAll: remembered reveals stay blurred on this page until
+    // it reloads
+    this.ignoreRememberedReveals = false;
+    // Known images from storage.local: { hash, action, url, addedAt }
+    this.imageHashes = [];
+    // Inspections: "classifier|url" -> promise of { score, hash }, and
+    // inspected element -> { score, hash, source } for when the threshold
+    // or the known images change
+    this.inspectionRequests = new Map();
+    this.mediaInspections = new Map();
+    // Keyword that blurred an element, for its overlay, and media left
+    // visible by keyword-only mode -> its source, checked again when its
+    // text changes
+    this.keywordMatches = new Map();
+    this.keywordSkipped = new Map();
+    // Whether the mutation observers watch keyword text
+    this.observingKeywords = false;
+    this.keywordPattern = null;
+    // Counts not yet reported to the background, by media type/"revealed"
+    this.pendingStats = {};
+    this.statsTimer = null;
+    // Elements already counted, by media type/"revealed". A page load
+    // starts over, like the background's per-tab counts.
+    this.countedElements = new Map();
+    this.isActive = false;
     this.isProcessing = false;
 
     // Start initialization immediately
@@ -15,29 +66,94 @@ class ImageBlurFilter {
   }
 
   async init() {
-    // CRITICAL: Check whitelist status FIRST before doing anything
-    this.settings = await this.getSettings();
-    this.isWhitelisted = await this.checkWhitelist();
-
-    // If extension is disabled OR site is whitelisted, do absolutely nothing
-    if (!this.settings.enabled || this.isWhitelisted) {
-      return; // Exit completely without any DOM modifications
-    }
-
-    // Only proceed with blur functionality if not whitelisted
-    this.injectPreBlurCSS();
-    this.batchProcessExistingImages();
-    this.setupOptimizedObservers();
-
-    // Listen for settings changes
+    // CRITICAL: Check whitelist status FIRST before doing anything. Until
+    // settings can be read, the page is left alone. Remembered reveals and
+    // known images are read alongside, so they add no round trip before
+    // the first blur.
+    const [settings, revealedImages, imageHashes] = await Promise.all([
+      this.getSettings(),
+      this.getRevealedImages(),
+      this.getImageHashes(),
+    ]);
+    this.settings = settings || { enabled: false };
+    this.updateBlurScope();
+    this.revealedImages = revealedImages;
+    this.imageHashes = imageHashes;
+
+    // Listen for settings changes, including schedules switching blurring
+    // on or off. Registered even when inactive so blurring can start later.
     chrome.storage.onChanged.addListener((changes) => {
-      if (changes.settings) {
-        this.handleSettingsChange(changes.settings.newValue);
+      if (changes.settings || changes.activeSchedules) {
+        this.handleSettingsChange();
+      }
+      if (changes.revealedImages) {
+        this.revealedImages = changes.revealedImages.newValue || {};
+      }
+      if (changes.imageHashes) {
+        this.imageHashes = changes.imageHashes.newValue || [];
+        if (this.isActive) this.applyInspections();
       }
     });
 
+    // Remember what was right-clicked for the context menu actions
+    document.addEventListener(
+      "contextmenu",
+      (e) => {
+        this.contextTarget = e.composedPath()[0];
+      },
+      { capture: true, passive: true }
+    );
+
     // Listen for messages from popup
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // A pause started or ended: re-resolve and start or stop blurring
+      if (request.action === "refreshSettings") {
+        this.handleSettingsChange();
+        return;
+      }
+
+      // Works after "unblurAll" too, which leaves the filter inactive
+      if (request.action === "reblurAll") {
+        this.reblurAll();
+        return;
+      }
+
+      // Context menu: the URL of the right-clicked media, for actions the
+      // browser gave no srcUrl for (e.g. background images)
+      if (request.action === "getContextSource") {
+        const target = this.findContextMedia(request.srcUrl);
+        const urls = target
+          ? getElementMediaUrls(target.element, target.source)
+          : [];
+        sendResponse({ url: urls[0] || null });
+        return;
+      }
+
+      // Context menu: force-blur something the heuristics skipped. Works
+      // on whitelisted pages too, since the user asked for it explicitly.
+      if (request.action === "contextBlur") {
+        const target = this.findContextMedia(request.srcUrl);
+        if (target) {
+          const { unblurred } = this.getSourceAttributes(target.source);
+          target.element.removeAttribute(unblurred);
+          this.blurMedia(target.element, target.source, true);
+        }
+        return;
+      }
+
+      if (request.action === "contextUnblur") {
+        const element = this.findBlurredElement(
+          this.contextTarget,
+          request.srcUrl
+        );
+        if (element) {
+          this.revealMedia(element);
+        }
+        return;
+      }
+
+      if (!this.isActive) return;
+
       if (request.action === "unblurAll") {
         this.removeAllBlurs();
       } else if (request.action === "updateBlurIntensity") {
@@ -46,82 +162,349 @@ class ImageBlurFilter {
         this.updatePreBlurCSS();
 
         for (const element of this.blurredElements) {
-          element.style.filter = `blur(${request.intensity}px)`;
+          this.applyBlurStyle(element);
         }
       }
     });
+
+    // If extension is disabled OR site is whitelisted without source
+    // rules, do absolutely nothing
+    if (!this.shouldRun()) {
+      return; // Exit completely without any DOM modifications
+    }
+
+    // Only proceed with blur functionality if not whitelisted
+    this.startBlurring();
+  }
+
+  // Image source rules apply whatever the mode says about the page, so a
+  // whitelisted page still runs for them unless blurring is paused
+  updateBlurScope() {
+    this.isWhitelisted = !this.settings.shouldBlur || !!this.settings.paused;
+    this.sourceRulesOnly =
+      !this.settings.shouldBlur &&
+      !this.settings.paused &&
+      (this.settings.alwaysBlurSources || []).length > 0;
+  }
+
+  shouldRun() {
+    return (
+      !!this.settings.enabled && (!this.isWhitelisted || this.sourceRulesOnly)
+    );
+  }
+
+  startBlurring() {
+    this.isActive = true;
+
+    for (const root of this.roots.keys()) {
+      this.injectPreBlurCSS(root);
+    }
+    this.batchProcessExistingImages();
+    this.setupOptimizedObservers();
+  }
+
+  // Blur rules shared by the preload and override stylesheets
+  getBlurRules(intensity, extraDeclarations = "") {
+    // Nothing is blurred ahead of processing where only source rules apply
+    const pending = ":not([data-blur-unblurred]):not([data-blur-processed])";
+    const selectors = MEDIA_SOURCES.filter(
+      (source) =>
+        source.preBlurSelector &&
+        this.isSourceEnabled(source) &&
+        !this.sourceRulesOnly
+    ).map((source) => `:is(${source.preBlurSelector})${pending}`);
+
+    const filter = this.getFilterValue(intensity);
+
+    let rules = "";
+    if (selectors.length > 0) {
+      rules += `
+      ${selectors.join(",\n      ")} {
+        filter: ${filter} !important;
+        ${extraDeclarations}
+      }
+      `;
+    }
+
+    rules += `
+      [data-blur-pseudo-processed]::before,
+      [data-blur-pseudo-processed]::after,
+      [${INSPECTING_ATTRIBUTE}="filter"],
+      [${INSPECTING_ATTRIBUTE}="pseudo"]::before,
+      [${INSPECTING_ATTRIBUTE}="pseudo"]::after {
+        filter: ${filter} !important;
+      }
+    `;
+    return rules;
+  }
+
+  // CSS filter of the selected obfuscation style
+  getFilterValue(intensity = this.settings.blurIntensity) {
+    const style = this.settings && this.settings.obfuscation;
+
+    if (style === "pixelate") {
+      return `url(#${PIXELATE_FILTER_ID})`;
+    }
+    if (style === "grayscale") {
+      return `grayscale(1) blur(${intensity}px)`;
+    }
+    if (style === "cover") {
+      // Flattens every pixel to the same grey, keeping transparency
+      return "contrast(0)";
+    }
+    if (style === "opacity") {
+      return "opacity(0.1)";
+    }
+    if (style === "custom") {
+      const customFilter = this.settings.customFilter;
+      if (customFilter && CSS.supports("filter", customFilter)) {
+        return customFilter;
+      }
+    }
+    return `blur(${intensity}px)`;
+  }
+
+  // SVG filter behind the "pixelate" style, with blocks as large as the
+  // intensity. CSS has no pixelation of its own.
+  updatePixelateFilter(root) {
+    const existing = root.getElementById("blur-extension-filters");
+    if (existing) existing.remove();
+    if (this.settings.obfuscation !== "pixelate") return;
+
+    const size = Math.max(2, Math.round(this.settings.blurIntensity || 10));
+    const half = Math.floor(size / 2);
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.id = "blur-extension-filters";
+    svg.setAttribute("aria-hidden", "true");
+    svg.style.cssText = `
+      position: absolute !important;
+      width: 0 !important;
+      height: 0 !important;
+    `;
+    svg.innerHTML = `
+      <filter id="${PIXELATE_FILTER_ID}" x="0" y="0" width="1" height="1">
+        <feFlood x="${half}" y="${half}" width="1" height="1" />
+        <feComposite width="${size}" height="${size}" />
+        <feTile result="cells" />
+        <feComposite in="SourceGraphic" in2="cells" operator="in" />
+        <feMorphology operator="dilate" radius="${half}" />
+      </filter>
+    `;
+
+    if (root.nodeType === Node.DOCUMENT_NODE) {
+      (root.body || root.documentElement).appendChild(svg);
+    } else {
+      root.appendChild(svg);
+    }
+  }
+
+  // Whether the site profile includes this source's element type
+  isSourceEnabled(source) {
+    const mediaTypes = this.settings && this.settings.mediaTypes;
+    return !mediaTypes || mediaTypes.includes(source.type);
   }
 
   // CRITICAL: Inject CSS immediately to prevent any image flash
-  injectPreBlurCSS() {
+  injectPreBlurCSS(root = document) {
     const style = document.createElement("style");
     style.id = "blur-extension-preload";
-    style.textContent = `
-      img:not([data-blur-unblurred]):not([data-blur-processed]) {
-        filter: blur(${this.settings?.blurIntensity || 10}px) !important;
-        transition: filter 0.1s ease !important;
-      }
-    `;
+    style.textContent = this.getBlurRules(
+      this.settings?.blurIntensity || 10,
+      "transition: filter 0.1s ease !important;"
+    );
 
     // Inject as early as possible
-    if (document.head) {
-      document.head.appendChild(style);
+    if (root.head) {
+      root.head.appendChild(style);
     } else {
-      // If head doesn't exist yet, inject into document
-      document.appendChild(style);
+      // If head doesn't exist yet (or this is a shadow root), inject into root
+      root.appendChild(style);
     }
+    this.updatePixelateFilter(root);
   }
 
   // Update CSS with custom blur intensity
   updatePreBlurCSS() {
-    // Remove any existing override
-    const existingOverride = document.getElementById("blur-extension-override");
-    if (existingOverride) {
-      existingOverride.remove();
-    }
-
-    // Only add override if intensity is different from default (10px)
-    if (this.settings && this.settings.blurIntensity !== 10) {
-      const style = document.createElement("style");
-      style.id = "blur-extension-override";
-      style.textContent = `
-        img:not([data-blur-unblurred]):not([data-blur-processed]) {
-          filter: blur(${this.settings.blurIntensity}px) !important;
-        }
-      `;
+    for (const root of this.roots.keys()) {
+      // Element types may have changed with the site profile
+      const preload = root.getElementById("blur-extension-preload");
+      if (preload) {
+        preload.textContent = this.getBlurRules(
+          this.settings.blurIntensity,
+          "transition: filter 0.1s ease !important;"
+        );
+      }
+
+      // Remove any existing override
+      const existingOverride = root.getElementById("blur-extension-override");
+      if (existingOverride) {
+        existingOverride.remove();
+      }
+
+      this.updatePixelateFilter(root);
 
-      if (document.head) {
-        document.head.appendChild(style);
+      // Only add override if intensity is different from default (10px)
+      if (this.settings && this.settings.blurIntensity !== 10) {
+        const style = document.createElement("style");
+        style.id = "blur-extension-override";
+        style.textContent = this.getBlurRules(this.settings.blurIntensity);
+
+        if (root.head) {
+          root.head.appendChild(style);
+        } else if (root.nodeType !== Node.DOCUMENT_NODE) {
+          root.appendChild(style);
+        }
       }
     }
   }
 
+  // Settings resolved by the background for this page: site profile
+  // applied, plus whether the whitelist/blocklist mode blurs it at all
+  // Resolves with null while the background can't read any settings
   getSettings() {
-    return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: "getSettings" }, (response) => {
-        resolve(response);
-      });
-    });
-  }
-
-  checkWhitelist() {
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
         {
-          action: "checkWhitelist",
+          action: "getSiteSettings",
           url: window.location.href,
         },
         (response) => {
-          resolve(response.isWhitelisted);
+          resolve(response);
         }
       );
     });
   }
 
+  getRevealedImages() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(["revealedImages"], (result) => {
+        resolve(result.revealedImages || {});
+      });
+    });
+  }
+
+  getImageHashes() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(["imageHashes"], (result) => {
+        resolve(result.imageHashes || []);
+      });
+    });
+  }
+
+  getSource(name) {
+    return MEDIA_SOURCES.find((source) => source.name === name);
+  }
+
+  // Selector for a source, including ones computed at scan time
+  getSourceSelector(source) {
+    if (source.findSelector) {
+      return this.sourceSelectors.get(source.name) || null;
+    }
+    return source.selector;
+  }
+
+  refreshSourceSelectors() {
+    for (const source of MEDIA_SOURCES) {
+      if (source.findSelector) {
+        this.sourceSelectors.set(source.name, source.findSelector());
+      }
+    }
+  }
+
+  // First source whose selector matches the element
+  getMediaSource(element) {
+    return MEDIA_SOURCES.find((source) => {
+      const selector = this.getSourceSelector(source);
+      return selector && element.matches(selector);
+    });
+  }
+
+  getSourceAttributes(source) {
+    const prefix = source.attributePrefix || "data-blur";
+    return { processed: `${prefix}-processed`, unblurred: `${prefix}-unblurred` };
+  }
+
+  isPending(element, source) {
+    const attributes = this.getSourceAttributes(source);
+    return (
+      !element.getAttribute(attributes.processed) &&
+      !element.getAttribute(attributes.unblurred)
+    );
+  }
+
+  // Start blurring inside a newly discovered shadow root or frame document
+  attachRoot(root) {
+    if (this.roots.has(root)) return;
+
+    this.roots.set(root, null);
+    this.injectPreBlurCSS(root);
+
+    // Observers are only set up once the initial scan is done
+    if (this.intersectionObserver) {
+      this.observeRoot(root);
+    }
+
+    this.batchProcessExistingImages([root]);
+  }
+
+  // Find open shadow roots and script-less frames in a subtree
+  discoverRoots(node) {
+    const walker = (node.ownerDocument || node).createTreeWalker(
+      node,
+      NodeFilter.SHOW_ELEMENT
+    );
+
+    let element =
+      node.nodeType === Node.ELEMENT_NODE ? node : walker.nextNode();
+    while (element) {
+      if (element.shadowRoot) {
+        this.attachRoot(element.shadowRoot);
+      }
+      if (element.tagName === "IFRAME") {
+        const frameDocument = this.getScriptlessFrameDocument(element);
+        if (frameDocument) {
+          this.attachRoot(frameDocument);
+        }
+      }
+      element = walker.nextNode();
+    }
+  }
+
+  // Same-origin frames our content script doesn't run in (about:blank,
+  // srcdoc, blob:) are scanned from this frame like any other root
+  getScriptlessFrameDocument(iframe) {
+    try {
+      const frameDocument = iframe.contentDocument;
+      if (!frameDocument || !frameDocument.body) return null;
+
+      const protocol = iframe.contentWindow.location.protocol;
+      return protocol === "about:" || protocol === "blob:"
+        ? frameDocument
+        : null;
+    } catch (e) {
+      return null; // Cross-origin frame
+    }
+  }
+
+  // Forget roots whose host or frame has gone away
+  pruneRoots() {
+    for (const [root, observer] of this.roots) {
+      // Frame documents come from another realm, so avoid instanceof here
+      const detached = root.host
+        ? !root.host.isConnected
+        : root !== document && !root.defaultView;
+
+      if (detached) {
+        if (observer) observer.disconnect();
+        this.roots.delete(root);
+      }
+    }
+  }
+
   // Optimized batch processing for existing images
-  batchProcessExistingImages() {
+  batchProcessExistingImages(roots = Array.from(this.roots.keys())) {
     // Use requestAnimationFrame for smooth processing
-    const processInBatches = (elements, batchSize = 10) => {
+    const processInBatches = (elements, source, batchSize = 10) => {
       const batches = [];
       for (let i = 0; i < elements.length; i += batchSize) {
         batches.push(elements.slice(i, i + batchSize));
@@ -131,11 +514,7 @@ class ImageBlurFilter {
         if (batchIndex >= batches.length) return;
 
         batches[batchIndex].forEach((element) => {
-          if (element.tagName === "IMG") {
-            this.blurImage(element);
-          } else {
-            this.blurBackgroundImage(element);
-          }
+          this.blurMedia(element, source);
         });
 
         // Process next batch on next frame
@@ -145,22 +524,42 @@ class ImageBlurFilter {
       processBatch(0);
     };
 
-    // Get images
-    const images = document.querySelectorAll("img");
-    processInBatches(Array.from(images));
+    // Get images, videos and every other selector-based source
+    this.refreshSourceSelectors();
+    for (const root of roots) {
+      for (const source of MEDIA_SOURCES) {
+        const selector = this.getSourceSelector(source);
+        if (selector) {
+          processInBatches(
+            Array.from(root.querySelectorAll(selector)),
+            source
+          );
+        }
+      }
+    }
 
     // Get background images (more expensive, process separately)
     requestAnimationFrame(() => {
-      const bgElements = this.getBackgroundImageElements();
-      processInBatches(bgElements);
+      for (const root of roots) {
+        const bgElements = this.getBackgroundImageElements(root);
+        processInBatches(bgElements, this.getSource("background"));
+      }
     });
+
+    // Components may hold more media in their own shadow roots
+    for (const root of roots) {
+      this.discoverRoots(root);
+    }
   }
 
   // Optimized background image detection
-  getBackgroundImageElements() {
+  getBackgroundImageElements(root = document) {
     const elements = [];
-    const treeWalker = document.createTreeWalker(
-      document.body,
+    const scanRoot = root.body || root;
+    if (!scanRoot) return elements;
+
+    const treeWalker = (root.ownerDocument || root).createTreeWalker(
+      scanRoot,
       NodeFilter.SHOW_ELEMENT,
       {
         acceptNode: (node) => {
@@ -191,273 +590,653 @@ class ImageBlurFilter {
     return elements;
   }
 
-  blurImage(img) {
+  // `force` skips the heuristics, for elements the user picked explicitly
+  blurMedia(element, source = this.getMediaSource(element), force = false) {
+    if (!source || (!force && !this.isSourceEnabled(source))) return;
+
+    const attributes = this.getSourceAttributes(source);
     if (
-      this.blurredElements.has(img) ||
-      img.getAttribute("data-blur-processed") ||
-      img.getAttribute("data-blur-unblurred") ||
-      this.processingQueue.has(img)
+      this.blurredElements.has(element) ||
+      element.getAttribute(attributes.processed) ||
+      element.getAttribute(attributes.unblurred) ||
+      this.processingQueue.has(element)
     )
       return;
 
-    // Skip if image has no meaningful src or is too small
-    if (!this.isValidImage(img)) return;
+    // Pages the mode doesn't blur only hide "always blur" sources
+    if (
+      !force &&
+      this.sourceRulesOnly &&
+      this.matchSourceRules(element, source) !== "blur"
+    ) {
+      return;
+    }
+
+    // User rules decide before any heuristics
+    const decision = force ? null : this.getRuleDecision(element, source);
+
+    // Always-shown images, or ones revealed on an earlier visit, are
+    // marked so the preload CSS leaves them alone too
+    if (
+      !force &&
+      (decision === "show" || this.isRememberedReveal(element, source))
+    ) {
+      element.setAttribute(attributes.unblurred, "true");
+      return;
+    }
+
+    // In keyword-only mode, media no keyword or rule blurs stays visible
+    if (!force && decision === null && this.settings.keywordsOnly) {
+      element.setAttribute(attributes.unblurred, "true");
+      this.keywordSkipped.set(element, source);
+      return;
+    }
+
+    // Skip elements the source doesn't consider worth blurring
+    if (!force && decision !== "blur" && !source.isValid(element, this)) {
+      return;
+    }
+
+    // Known images and the classifier can let media through. Rules and
+    // explicit picks blur without an inspection.
+    if (!force && decision !== "blur" && this.shouldInspect(source)) {
+      this.inspectMedia(element, source);
+      return;
+    }
+
+    this.processMedia(element, source);
+  }
+
+  processMedia(element, source) {
+    const attributes = this.getSourceAttributes(source);
 
     // Add to processing queue to prevent duplicate processing
-    this.processingQueue.add(img);
+    this.processingQueue.add(element);
 
     // Mark as processed immediately
-    img.setAttribute("data-blur-processed", "true");
+    element.setAttribute(attributes.processed, "true");
+    this.elementSources.set(element, source);
+
+    // Shown on the overlay, so it's clear why the element is hidden
+    const keyword = this.matchKeywords(element, source);
+    if (keyword) {
+      this.keywordMatches.set(element, keyword);
+    }
 
     // Apply blur (CSS already pre-applied, just ensure it's correct)
-    img.style.filter = `blur(${this.settings.blurIntensity}px)`;
-    img.style.transition = "filter 0.1s ease";
+    this.applyBlurStyle(element);
+    if (source.onBlur) {
+      source.onBlur(element, this);
+    }
 
     // Create overlay asynchronously for performance
     requestAnimationFrame(() => {
-      this.createImageOverlay(img);
-      this.processingQueue.delete(img);
+      this.createOverlay(element);
+      this.processingQueue.delete(element);
     });
 
-    this.blurredElements.add(img);
+    this.blurredElements.add(element);
+    this.countElement(element, source.type);
   }
 
-  // Optimized image validation
-  isValidImage(img) {
-    // Check if image has meaningful source
-    if (!img.src && !img.srcset && !img.dataset.src) return false;
+  shouldClassify(source) {
+    const classifier = this.settings.classifier;
+    return !!(source.classifiable && classifier && classifier.enabled);
+  }
 
-    // Use getBoundingClientRect for accurate size (faster than naturalWidth check)
-    const rect = img.getBoundingClientRect();
-    if (rect.width < 30 || rect.height < 30) return false;
+  shouldInspect(source) {
+    return (
+      this.shouldClassify(source) ||
+      !!(source.classifiable && this.imageHashes.length > 0)
+    );
+  }
 
-    // Skip common UI elements
-    const className = img.className.toLowerCase();
-    const id = img.id.toLowerCase();
-    const skipPatterns = ["icon", "logo", "avatar", "thumb", "button", "ui-"];
+  isSensitive(score) {
+    return score * 100 >= this.settings.classifier.threshold;
+  }
 
-    for (const pattern of skipPatterns) {
-      if (className.includes(pattern) || id.includes(pattern)) {
-        return false;
+  // Known images decide first, then the classifier. Media neither can
+  // judge stays blurred.
+  getInspectionDecision({ score, hash }, source) {
+    const known = hash ? this.matchImageHash(hash) : null;
+    if (known) return known;
+
+    if (this.shouldClassify(source) && score !== null) {
+      return this.isSensitive(score) ? "blur" : "show";
+    }
+    return "blur";
+  }
+
+  // "blur" or "show" for the closest known image within the threshold,
+  // null otherwise. On equal distance blur wins.
+  matchImageHash(hash) {
+    const threshold = this.settings.hashThreshold;
+    const maxDistance = typeof threshold === "number" ? threshold : 6;
+
+    let best = null;
+    for (const entry of this.imageHashes) {
+      const distance = this.getHashDistance(hash, entry.hash);
+      if (
+        distance <= maxDistance &&
+        (!best ||
+          distance < best.distance ||
+          (distance === best.distance && entry.action === "blur"))
+      ) {
+        best = { action: entry.action, distance };
       }
     }
+    return best ? best.action : null;
+  }
+
+  // Number of differing bits between two hex hashes of equal length
+  getHashDistance(a, b) {
+    if (typeof b !== "string" || a.length !== b.length) return Infinity;
 
-    return true;
+    let distance = 0;
+    for (let index = 0; index < a.length; index += 4) {
+      let bits =
+        parseInt(a.slice(index, index + 4), 16) ^
+        parseInt(b.slice(index, index + 4), 16);
+      for (; bits; bits &= bits - 1) distance++;
+    }
+    return distance;
   }
 
-  createImageOverlay(img) {
-    // Skip if already has overlay or being processed
-    if (this.overlays.has(img)) return;
+  // Keep media blurred while the background inspects it, then blur it
+  // for good or let it through
+  inspectMedia(element, source) {
+    const [url] = getElementMediaUrls(element, source);
+    if (!url) {
+      this.processMedia(element, source);
+      return;
+    }
 
-    // Create overlay container
-    const overlay = document.createElement("div");
-    overlay.className = "blur-overlay";
-    overlay.style.cssText = `
-      position: absolute !important;
-      top: 0 !important;
-      left: 0 !important;
-      right: 0 !important;
-      bottom: 0 !important;
-      pointer-events: none !important;
-      opacity: 0 !important;
-      transition: opacity 0.2s ease !important;
-      z-index: 10000 !important;
-      display: flex !important;
-      align-items: center !important;
-      justify-content: center !important;
-    `;
+    this.processingQueue.add(element);
+    element.setAttribute(INSPECTING_ATTRIBUTE, source.blurStyle || "filter");
 
-    // Create unblur button
-    const unblurBtn = document.createElement("button");
-    unblurBtn.className = "unblur-btn";
-    unblurBtn.innerHTML = "👁️";
-    unblurBtn.style.cssText = `
-      background: rgba(0, 0, 0, 0.8) !important;
-      color: white !important;
-      border: none !important;
-      padding: 8px 12px !important;
-      border-radius: 50% !important;
-      font-size: 16px !important;
-      cursor: pointer !important;
-      pointer-events: auto !important;
-      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3) !important;
-      transition: all 0.2s ease !important;
-      min-width: 40px !important;
-      min-height: 40px !important;
-    `;
+    this.requestInspection(url).then((inspection) => {
+      element.removeAttribute(INSPECTING_ATTRIBUTE);
 
-    // Optimized event handlers
-    const mouseEnterHandler = () => {
-      unblurBtn.style.background = "rgba(0, 0, 0, 0.9)";
-      unblurBtn.style.transform = "scale(1.1)";
-    };
+      // Dropped meanwhile, e.g. by "unblur all"
+      if (!this.processingQueue.has(element)) return;
+      this.processingQueue.delete(element);
 
-    const mouseLeaveHandler = () => {
-      unblurBtn.style.background = "rgba(0, 0, 0, 0.8)";
-      unblurBtn.style.transform = "scale(1)";
-    };
+      if (inspection.score !== null || inspection.hash !== null) {
+        this.mediaInspections.set(element, { ...inspection, source });
+      }
+      if (this.getInspectionDecision(inspection, source) === "blur") {
+        this.processMedia(element, source);
+      } else {
+        const { unblurred } = this.getSourceAttributes(source);
+        element.setAttribute(unblurred, "true");
+      }
+    });
+  }
 
-    const clickHandler = (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      this.unblurImage(img);
-    };
+  // Inspections are shared by every element showing the same image
+  requestInspection(url) {
+    const classifier = this.settings.classifier;
+    const name = classifier && classifier.enabled ? classifier.name : null;
+    const key = `${name || ""}|${url}`;
+
+    if (!this.inspectionRequests.has(key)) {
+      this.inspectionRequests.set(
+        key,
+        new Promise((resolve) => {
+          chrome.runtime.sendMessage(
+            { action: "inspectImage", url, classifier: name },
+            (response) =>
+              resolve({
+                score:
+                  response && typeof response.score === "number"
+                    ? response.score
+                    : null,
+                hash:
+                  response && typeof response.hash === "string"
+                    ? response.hash
+                    : null,
+              })
+          );
+        })
+      );
+    }
+    return this.inspectionRequests.get(key);
+  }
+
+  // Move inspected media across a changed threshold or list of known
+  // images, and blur it again when nothing lets it through any more
+  applyInspections() {
+    for (const [element, inspection] of this.mediaInspections) {
+      if (!element.isConnected) {
+        this.mediaInspections.delete(element);
+        continue;
+      }
+
+      const { source } = inspection;
+      const { unblurred } = this.getSourceAttributes(source);
+      const blur = this.getInspectionDecision(inspection, source) === "blur";
+      if (!blur && this.blurredElements.has(element)) {
+        this.revealMedia(element, false);
+        element.setAttribute(unblurred, "true");
+      } else if (blur && !this.blurredElements.has(element)) {
+        // Blurred again by the next scan
+        element.removeAttribute(unblurred);
+      }
+    }
+  }
+
+  // "Remember this image" from the overlay: add it to the known images,
+  // and reveal it when it should always show
+  rememberImage(element, action, button) {
+    const source = this.elementSources.get(element);
+    const [url] = getElementMediaUrls(element, source);
+    if (!url) return;
+
+    chrome.runtime.sendMessage(
+      { action: "rememberImage", url, listAction: action },
+      (response) => {
+        if (response && response.success) {
+          if (action === "show") {
+            this.revealMedia(element);
+          } else {
+            button.textContent = "✓ Remembered";
+          }
+        } else if (response && response.locked) {
+          button.textContent = "🔒 Locked";
+          button.title = "Locked: unlock from the extension popup";
+        } else {
+          button.textContent = "Can't remember";
+          button.title = (response && response.error) || "";
+        }
+      }
+    );
+  }
+
+  // Re-blurring (reblur-all, a pause ending, changed rules) doesn't count
+  // an element again
+  countElement(element, key) {
+    if (!this.countedElements.has(key)) {
+      this.countedElements.set(key, new WeakSet());
+    }
+    const counted = this.countedElements.get(key);
+    if (counted.has(element)) return;
+
+    counted.add(element);
+    this.countStat(key);
+  }
+
+  // Counts are batched and sent to the background, which keeps the
+  // badge and the lifetime totals
+  countStat(key) {
+    this.pendingStats[key] = (this.pendingStats[key] || 0) + 1;
+    if (this.statsTimer) return;
+
+    this.statsTimer = setTimeout(() => {
+      const stats = this.pendingStats;
+      this.pendingStats = {};
+      this.statsTimer = null;
+      chrome.runtime.sendMessage({ action: "reportStats", stats });
+    }, 1000);
+  }
+
+  // Image source rules first, then this site's element rules, then
+  // keywords
+  getRuleDecision(element, source) {
+    return (
+      this.matchSourceRules(element, source) ||
+      this.matchSelectorRules(element) ||
+      (this.matchKeywords(element, source) ? "blur" : null)
+    );
+  }
+
+  // Keyword found in the element's text as a whole word, null otherwise
+  matchKeywords(element, source) {
+    const pattern = this.getKeywordPattern();
+    if (!pattern) return null;
+
+    const match = this.getKeywordText(element, source).match(pattern);
+    return match ? match[1].toLowerCase() : null;
+  }
 
-    unblurBtn.addEventListener("mouseenter", mouseEnterHandler, {
-      passive: true,
-    });
-    unblurBtn.addEventListener("mouseleave", mouseLeaveHandler, {
-      passive: true,
-    });
-    unblurBtn.addEventListener("click", clickHandler);
+  // Built once per keyword list. Longer keywords are tried first, so
+  // "red car" wins over "car".
+  getKeywordPattern() {
+    const keywords = this.settings.keywords || [];
+    if (this.keywordPattern && this.keywordPattern.keywords === keywords) {
+      return this.keywordPattern.pattern;
+    }
 
-    overlay.appendChild(unblurBtn);
+    const alternatives = keywords
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map((keyword) => keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    // Whole words only, in any script
+    const edge = "[^\\p{L}\\p{N}]";
+    const pattern =
+      alternatives.length > 0
+        ? new RegExp(
+            `(?:^|${edge})(${alternatives.join("|")})(?=$|${edge})`,
+            "iu"
+          )
+        : null;
+    this.keywordPattern = { keywords, pattern };
+    return pattern;
+  }
 
-    // Position overlay relative to image
-    const wrapper = this.wrapImage(img);
-    if (wrapper) {
-      wrapper.appendChild(overlay);
+  // Alt text, title, ARIA label, file names and the caption of the
+  // enclosing <figure>, one per line
+  getKeywordText(element, source) {
+    const texts = KEYWORD_ATTRIBUTES.map((name) => element.getAttribute(name));
 
-      // Optimized hover handlers
-      const showOverlay = () => (overlay.style.opacity = "1");
-      const hideOverlay = () => (overlay.style.opacity = "0");
+    for (const url of getElementMediaUrls(element, source)) {
+      texts.push(this.getFileNameText(url));
+    }
 
-      wrapper.addEventListener("mouseenter", showOverlay, { passive: true });
-      wrapper.addEventListener("mouseleave", hideOverlay, { passive: true });
+    const figure = element.closest("figure");
+    const caption = figure && figure.querySelector("figcaption");
+    if (caption) {
+      texts.push(caption.textContent);
+    }
+    return texts.filter(Boolean).join("\n");
+  }
 
-      this.overlays.set(img, { overlay, wrapper, showOverlay, hideOverlay });
+  // "/media/red-car_01.jpg" -> "red car 01"
+  getFileNameText(url) {
+    try {
+      const { protocol, pathname } = new URL(url, location.href);
+      if (protocol === "data:" || protocol === "blob:") return "";
+
+      return decodeURIComponent(pathname.split("/").pop())
+        .replace(/\.[a-z0-9]+$/i, "")
+        .replace(/[-_.+]+/g, " ");
+    } catch (e) {
+      return "";
     }
   }
 
-  wrapImage(img) {
-    // Check if already wrapped
-    if (
-      img.parentElement &&
-      img.parentElement.classList.contains("blur-wrapper")
+  // Decide again after the element's text or the keywords changed. Media
+  // the user revealed stays revealed.
+  refreshKeywordMatch(element, source) {
+    const { processed, unblurred } = this.getSourceAttributes(source);
+    const keyword = this.matchKeywords(element, source);
+
+    if (this.blurredElements.has(element)) {
+      const released =
+        !keyword &&
+        this.settings.keywordsOnly &&
+        this.getRuleDecision(element, source) !== "blur";
+      if (keyword === (this.keywordMatches.get(element) || null) && !released) {
+        return;
+      }
+      this.revealMedia(element, false);
+    } else if (this.keywordSkipped.has(element)) {
+      if (!keyword && this.settings.keywordsOnly) return;
+      this.keywordSkipped.delete(element);
+      element.removeAttribute(unblurred);
+    } else if (this.mediaInspections.has(element)) {
+      // Let through by an inspection, which a keyword overrules
+      if (!keyword) return;
+      element.removeAttribute(unblurred);
+    } else if (
+      element.getAttribute(processed) ||
+      element.getAttribute(unblurred)
     ) {
-      return img.parentElement;
+      return;
     }
 
-    // Don't wrap if parent can't contain absolute positioning
-    const parent = img.parentElement;
-    if (!parent) return null;
+    this.blurMedia(element, source);
+  }
 
-    const wrapper = document.createElement("div");
-    wrapper.className = "blur-wrapper";
-    wrapper.style.cssText = `
-      position: relative !important;
-      display: inline-block !important;
-      max-width: 100% !important;
-      line-height: 0 !important;
-    `;
+  // "blur" or "show" when one of the element rules for this site matches.
+  // Blur rules win over show rules.
+  matchSelectorRules(element) {
+    const lists = [
+      ["blur", this.settings.blurSelectors || []],
+      ["show", this.settings.showSelectors || []],
+    ];
+
+    for (const [action, selectors] of lists) {
+      for (const selector of selectors) {
+        try {
+          if (element.matches(selector)) return action;
+        } catch (e) {
+          // Invalid selector, ignore it
+        }
+      }
+    }
+    return null;
+  }
+
+  // "show" or "blur" when an image source rule matches any URL the
+  // element displays, null otherwise. On equal specificity blur wins.
+  matchSourceRules(element, source) {
+    const lists = [
+      ["blur", this.settings.alwaysBlurSources || []],
+      ["show", this.settings.alwaysShowSources || []],
+    ];
+    if (lists.every(([, rules]) => rules.length === 0)) return null;
+
+    let best = null;
+    for (const url of getElementMediaUrls(element, source)) {
+      for (const [action, rules] of lists) {
+        const rule = findMatchingRule(rules, url);
+        if (
+          rule &&
+          !rule.negated &&
+          (!best || rule.specificity > best.specificity)
+        ) {
+          best = { action, specificity: rule.specificity };
+        }
+      }
+    }
+    return best ? best.action : null;
+  }
 
-    // Insert wrapper efficiently
-    parent.insertBefore(wrapper, img);
-    wrapper.appendChild(img);
+  isRememberedReveal(element, source) {
+    const options = this.settings.rememberReveals;
+    if (!options || !options.enabled || this.ignoreRememberedReveals) {
+      return false;
+    }
 
-    return wrapper;
+    const maxAge = (options.expiryDays || 0) * 24 * 60 * 60 * 1000;
+    return getElementMediaUrls(element, source).some((url) => {
+      const normalized = normalizeMediaUrl(url);
+      const revealedAt =
+        this.revealedImages[`${location.hostname}|${normalized}`] ||
+        this.revealedImages[`*|${normalized}`];
+      return revealedAt && (!maxAge || Date.now() - revealedAt < maxAge);
+    });
   }
 
-  unblurImage(img) {
-    if (!this.blurredElements.has(img)) return;
+  // Persist a reveal so the image stays visible after reloads/re-renders
+  rememberReveal(element, source) {
+    const options = this.settings.rememberReveals;
+    if (!options || !options.enabled) return;
 
-    // Mark as intentionally unblurred
-    img.setAttribute("data-blur-unblurred", "true");
-    img.removeAttribute("data-blur-processed");
+    const site = options.perSite ? location.hostname : "*";
+    const keys = getElementMediaUrls(element, source).map(
+      (url) => `${site}|${normalizeMediaUrl(url)}`
+    );
+    if (keys.length > 0) {
+      chrome.runtime.sendMessage({ action: "rememberReveal", keys });
+    }
+  }
 
-    // Remove blur immediately
-    img.style.filter = "none";
-
-    // Clean up overlay
-    const overlayData = this.overlays.get(img);
-    if (overlayData) {
-      const {
-        wrapper,
-        overlay,
-        showOverlay,
-        hideOverlay,
-        mouseEnterHandler,
-        mouseLeaveHandler,
-        clickHandler,
-      } = overlayData;
-
-      // Remove all event listeners for memory efficiency
-      if (wrapper) {
-        wrapper.removeEventListener("mouseenter", showOverlay);
-        wrapper.removeEventListener("mouseleave", hideOverlay);
-
-        // Unwrap image
-        if (wrapper.parentNode) {
-          wrapper.parentNode.insertBefore(img, wrapper);
-          wrapper.remove();
+  // Right-clicked element (or the blurred one its overlay belongs to)
+  findBlurredElement(target, srcUrl) {
+    for (let node = target; node; node = node.parentNode || node.host) {
+      if (this.blurredElements.has(node)) return node;
+
+      // Our overlay layer: the element whose controls are showing
+      for (const layer of this.overlayLayers.values()) {
+        if (node === layer.host && layer.activeElement) {
+          return layer.activeElement;
         }
       }
+    }
 
-      // Remove button event listeners
-      const unblurBtn = overlay.querySelector(".unblur-btn");
-      if (unblurBtn) {
-        unblurBtn.removeEventListener("mouseenter", mouseEnterHandler);
-        unblurBtn.removeEventListener("mouseleave", mouseLeaveHandler);
-        unblurBtn.removeEventListener("click", clickHandler);
+    // Fall back to the URL the browser reported for the click
+    if (srcUrl) {
+      for (const element of this.blurredElements) {
+        const source = this.elementSources.get(element);
+        if (getElementMediaUrls(element, source).includes(srcUrl)) {
+          return element;
+        }
       }
-
-      overlay.remove();
-      this.overlays.delete(img);
     }
-
-    this.blurredElements.delete(img);
+    return null;
   }
 
-  blurBackgroundImage(element) {
-    if (
-      this.blurredElements.has(element) ||
-      element.getAttribute("data-blur-bg-processed") ||
-      element.getAttribute("data-blur-bg-unblurred") ||
-      this.processingQueue.has(element)
-    )
-      return;
+  // Media element under the last right-click, with the source it belongs
+  // to. Elements with a stylesheet background count as backgrounds.
+  findContextMedia(srcUrl) {
+    const blurred = this.findBlurredElement(this.contextTarget, srcUrl);
+    if (blurred) {
+      return { element: blurred, source: this.elementSources.get(blurred) };
+    }
 
-    // Quick validation
-    const rect = element.getBoundingClientRect();
-    if (rect.width < 50 || rect.height < 50) return;
+    for (
+      let node = this.contextTarget;
+      node && node.nodeType === Node.ELEMENT_NODE;
+      node = node.parentElement || (node.getRootNode() || {}).host
+    ) {
+      const source = this.getMediaSource(node);
+      if (source) return { element: node, source };
 
-    this.processingQueue.add(element);
+      const background = this.getSource("background");
+      if (getElementMediaUrls(node, background).length > 0) {
+        return { element: node, source: background };
+      }
+    }
+    return null;
+  }
 
-    element.setAttribute("data-blur-bg-processed", "true");
-    element.style.filter = `blur(${this.settings.blurIntensity}px)`;
-    element.style.transition = "filter 0.1s ease";
+  applyBlurStyle(element) {
+    const source = this.elementSources.get(element);
+    this.updateCoverLabel(element);
 
-    // Create overlay asynchronously
-    requestAnimationFrame(() => {
-      this.createBackgroundOverlay(element);
-      this.processingQueue.delete(element);
-    });
+    // Pseudo-element images are blurred by the injected stylesheet
+    if (source && source.blurStyle === "pseudo") return;
 
-    this.blurredElements.add(element);
+    element.style.filter = this.getFilterValue();
+    element.style.transition = "filter 0.1s ease";
   }
 
-  createBackgroundOverlay(element) {
-    if (this.overlays.has(element)) return;
+  // Solid covers get a permanent label so it's clear something is hidden
+  updateCoverLabel(element) {
+    const overlayData = this.overlays.get(element);
+    if (!overlayData) return;
 
-    const overlay = document.createElement("div");
-    overlay.className = "blur-bg-overlay";
-    overlay.style.cssText = `
+    if (this.settings.obfuscation !== "cover") {
+      if (overlayData.label) {
+        overlayData.label.remove();
+        overlayData.label = null;
+      }
+      return;
+    }
+    if (overlayData.label) return;
+
+    const source = this.elementSources.get(element);
+    const label = document.createElement("div");
+    label.className = "blur-cover-label";
+    const keyword = this.keywordMatches.get(element);
+    label.textContent =
+      (source && source.type === "videos" ? "Video hidden" : "Image hidden") +
+      (keyword ? `: "${keyword}"` : "");
+    label.style.cssText = `
       position: absolute !important;
       top: 0 !important;
       left: 0 !important;
       right: 0 !important;
       bottom: 0 !important;
-      pointer-events: none !important;
-      opacity: 0 !important;
-      transition: opacity 0.2s ease !important;
-      z-index: 10000 !important;
       display: flex !important;
       align-items: center !important;
       justify-content: center !important;
+      color: white !important;
+      font: 600 12px/1.2 sans-serif !important;
+      text-shadow: 0 1px 2px rgba(0, 0, 0, 0.6) !important;
+      pointer-events: none !important;
     `;
 
+    // Beneath the controls
+    overlayData.box.prepend(label);
+    overlayData.label = label;
+  }
+
+  // Optimized image validation
+  isValidImage(img) {
+    // Check if image has meaningful source
+    if (!img.src && !img.srcset && !img.dataset.src) return false;
+
+    // Use getBoundingClientRect for accurate size (faster than naturalWidth check)
+    if (!hasMinimumSize(img, this.getMinimumSize())) return false;
+
+    // Skip common UI elements
+    return !this.matchesSkipPattern(img);
+  }
+
+  matchesSkipPattern(element) {
+    // getAttribute also works for SVG elements, whose className isn't a string
+    const className = (element.getAttribute("class") || "").toLowerCase();
+    const id = (element.id || "").toLowerCase();
+    const skipPatterns = (this.settings.skipPatterns || []).filter(Boolean);
+
+    return skipPatterns.some((pattern) => {
+      pattern = pattern.toLowerCase();
+      return className.includes(pattern) || id.includes(pattern);
+    });
+  }
+
+  // Smallest width and height (px) worth blurring
+  getMinimumSize() {
+    const minSize = this.settings.minImageSize;
+    return typeof minSize === "number" ? minSize : 30;
+  }
+
+  isValidVideo(video) {
+    if (video.tagName === "VIDEO") {
+      if (
+        !video.src &&
+        !video.currentSrc &&
+        !video.poster &&
+        !video.querySelector("source")
+      )
+        return false;
+    }
+
+    return hasMinimumSize(video, this.getMinimumSize());
+  }
+
+  // Keep a blurred video paused, even if autoplay kicks in later
+  holdVideoPlayback(video) {
+    if (video.tagName !== "VIDEO" || this.settings.pauseVideos === false) {
+      return;
+    }
+
+    const wasPlaying = !video.paused || video.autoplay;
+    const playHandler = () => video.pause();
+
+    video.pause();
+    video.addEventListener("play", playHandler);
+    this.videoPlayHandlers.set(video, { playHandler, wasPlaying });
+  }
+
+  releaseVideoPlayback(video) {
+    const held = this.videoPlayHandlers.get(video);
+    if (!held) return;
+
+    video.removeEventListener("play", held.playHandler);
+    this.videoPlayHandlers.delete(video);
+
+    // Resume videos that were autoplaying when we paused them
+    if (held.wasPlaying) {
+      video.play().catch(() => {});
+    }
+  }
+
+  createUnblurButton(element) {
     const unblurBtn = document.createElement("button");
-    unblurBtn.className = "unblur-bg-btn";
+    unblurBtn.className = "unblur-btn";
     unblurBtn.innerHTML = "👁️";
     unblurBtn.style.cssText = `
       background: rgba(0, 0, 0, 0.8) !important;
@@ -488,7 +1267,10 @@ class ImageBlurFilter {
     const clickHandler = (e) => {
       e.preventDefault();
       e.stopPropagation();
-      this.unblurBackgroundImage(element);
+      this.requestReveal(element, () => {
+        unblurBtn.innerHTML = "🔒";
+        unblurBtn.title = "Locked: unlock from the extension popup";
+      });
     };
 
     unblurBtn.addEventListener("mouseenter", mouseEnterHandler, {
@@ -499,102 +1281,197 @@ class ImageBlurFilter {
     });
     unblurBtn.addEventListener("click", clickHandler);
 
-    overlay.appendChild(unblurBtn);
+    return { unblurBtn, mouseEnterHandler, mouseLeaveHandler, clickHandler };
+  }
+
+  // The keyword that hid the element, along the top of the overlay
+  createKeywordLabel(element) {
+    const keyword = this.keywordMatches.get(element);
+    if (!keyword) return null;
+
+    const label = document.createElement("div");
+    label.className = "blur-keyword-label";
+    label.textContent = `Hidden: matches "${keyword}"`;
+    label.style.cssText = `
+      position: absolute !important;
+      top: 8px !important;
+      left: 8px !important;
+      right: 8px !important;
+      text-align: center !important;
+      color: white !important;
+      font: 500 11px/1.4 sans-serif !important;
+      text-shadow: 0 1px 2px rgba(0, 0, 0, 0.8) !important;
+      overflow: hidden !important;
+      text-overflow: ellipsis !important;
+      white-space: nowrap !important;
+      pointer-events: none !important;
+    `;
+    return label;
+  }
+
+  // "Always show"/"Always blur" along the bottom of the overlay, for
+  // media the background can hash
+  createRememberButtons(element) {
+    const source = this.elementSources.get(element);
+    if (!source || !source.classifiable) return {};
 
-    // Ensure element has relative positioning
-    const originalPosition = getComputedStyle(element).position;
-    if (originalPosition === "static") {
-      element.style.position = "relative";
+    const rememberBar = document.createElement("div");
+    rememberBar.className = "blur-remember-bar";
+    rememberBar.style.cssText = `
+      position: absolute !important;
+      left: 0 !important;
+      right: 0 !important;
+      bottom: 8px !important;
+      display: flex !important;
+      justify-content: center !important;
+      gap: 6px !important;
+      pointer-events: none !important;
+    `;
+
+    for (const [action, text] of [
+      ["show", "Always show"],
+      ["blur", "Always blur"],
+    ]) {
+      const button = document.createElement("button");
+      button.dataset.action = action;
+      button.textContent = text;
+      button.title = "Remember this image, even at other addresses";
+      button.style.cssText = `
+        background: rgba(0, 0, 0, 0.8) !important;
+        color: white !important;
+        border: none !important;
+        padding: 4px 8px !important;
+        border-radius: 12px !important;
+        font: 500 11px/1.4 sans-serif !important;
+        cursor: pointer !important;
+        pointer-events: auto !important;
+      `;
+      rememberBar.appendChild(button);
     }
 
-    element.appendChild(overlay);
+    const rememberHandler = (e) => {
+      const button = e.target.closest("button");
+      if (!button) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.rememberImage(element, button.dataset.action, button);
+    };
+    rememberBar.addEventListener("click", rememberHandler);
+
+    return { rememberBar, rememberHandler };
+  }
+
+  // Overlays live in an extension-owned layer (see overlay-layer.js), so
+  // the page's own elements are never wrapped, moved or restyled
+  createOverlay(element) {
+    if (this.overlays.has(element)) return;
+
+    const layer = this.getOverlayLayer(element.ownerDocument);
+    const { box, controls } = layer.add(element);
 
-    // Optimized hover handlers
-    const showOverlay = () => (overlay.style.opacity = "1");
-    const hideOverlay = () => (overlay.style.opacity = "0");
+    const button = this.createUnblurButton(element);
+    controls.appendChild(button.unblurBtn);
+    const remember = this.createRememberButtons(element);
+    if (remember.rememberBar) controls.appendChild(remember.rememberBar);
+    const keywordLabel = this.createKeywordLabel(element);
+    if (keywordLabel) controls.appendChild(keywordLabel);
+
+    this.overlays.set(element, { layer, box, ...button, ...remember });
+    this.updateCoverLabel(element);
+  }
 
-    element.addEventListener("mouseenter", showOverlay, { passive: true });
-    element.addEventListener("mouseleave", hideOverlay, { passive: true });
+  // One layer per document, as frame documents have their own viewport
+  getOverlayLayer(doc) {
+    if (!this.overlayLayers.has(doc)) {
+      this.overlayLayers.set(doc, new OverlayLayer(doc));
+    }
+    return this.overlayLayers.get(doc);
+  }
 
-    this.overlays.set(element, {
-      overlay,
-      isBackground: true,
-      showOverlay,
-      hideOverlay,
+  // Reveals can be locked behind the password, which only the background
+  // can check
+  requestReveal(element, onLocked) {
+    chrome.runtime.sendMessage({ action: "authorizeReveal" }, (response) => {
+      if (response && response.allowed) {
+        this.revealMedia(element);
+      } else {
+        onLocked();
+      }
     });
   }
 
-  unblurBackgroundImage(element) {
+  // Reveal a single blurred element. Unless `remember` is false it is
+  // marked as intentionally unblurred so it isn't blurred again, and
+  // remembered across reloads.
+  revealMedia(element, remember = true) {
     if (!this.blurredElements.has(element)) return;
 
+    const source = this.elementSources.get(element);
+    const attributes = this.getSourceAttributes(source);
+
     // Mark as intentionally unblurred
-    element.setAttribute("data-blur-bg-unblurred", "true");
-    element.removeAttribute("data-blur-bg-processed");
+    if (remember) {
+      element.setAttribute(attributes.unblurred, "true");
+      this.rememberReveal(element, source);
+      this.countElement(element, "revealed");
+      // The user's choice outlasts any threshold change
+      this.mediaInspections.delete(element);
+    }
+    element.removeAttribute(attributes.processed);
 
-    element.style.filter = "none";
+    // Remove blur immediately
+    if (source.blurStyle !== "pseudo") {
+      element.style.filter = "none";
+    }
 
-    const overlayData = this.overlays.get(element);
-    if (overlayData) {
-      const {
-        overlay,
-        showOverlay,
-        hideOverlay,
-        mouseEnterHandler,
-        mouseLeaveHandler,
-        clickHandler,
-      } = overlayData;
+    this.removeOverlay(element);
 
-      // Remove event listeners from element
-      element.removeEventListener("mouseenter", showOverlay);
-      element.removeEventListener("mouseleave", hideOverlay);
+    if (source.onReveal) {
+      source.onReveal(element, this);
+    }
 
-      // Remove button event listeners
-      const unblurBtn = overlay.querySelector(".unblur-bg-btn");
-      if (unblurBtn) {
-        unblurBtn.removeEventListener("mouseenter", mouseEnterHandler);
-        unblurBtn.removeEventListener("mouseleave", mouseLeaveHandler);
-        unblurBtn.removeEventListener("click", clickHandler);
-      }
+    this.blurredElements.delete(element);
+    this.elementSources.delete(element);
+    this.keywordMatches.delete(element);
+  }
 
-      overlay.remove();
-      this.overlays.delete(element);
+  removeOverlay(element) {
+    const overlayData = this.overlays.get(element);
+    if (!overlayData) return;
+
+    const {
+      layer,
+      unblurBtn,
+      mouseEnterHandler,
+      mouseLeaveHandler,
+      clickHandler,
+      rememberBar,
+      rememberHandler,
+    } = overlayData;
+
+    // Remove all event listeners for memory efficiency
+    unblurBtn.removeEventListener("mouseenter", mouseEnterHandler);
+    unblurBtn.removeEventListener("mouseleave", mouseLeaveHandler);
+    unblurBtn.removeEventListener("click", clickHandler);
+    if (rememberBar) {
+      rememberBar.removeEventListener("click", rememberHandler);
     }
 
-    this.blurredElements.delete(element);
+    // The box takes the controls and the cover label with it
+    layer.remove(element);
+
+    this.overlays.delete(element);
   }
 
   // Highly optimized observers with throttling
   setupOptimizedObservers() {
-    // Throttled mutation observer
-    let mutationTimeout;
-    this.observer = new MutationObserver((mutations) => {
-      // Throttle mutations for better performance
-      clearTimeout(mutationTimeout);
-      mutationTimeout = setTimeout(() => {
-        this.processMutations(mutations);
-      }, 50);
-    });
-
-    // Start observing with optimized settings
-    this.observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      attributeFilter: ["src", "srcset", "data-src", "style"],
-      attributeOldValue: false,
-    });
-
     // Optimized intersection observer for lazy loading
     this.intersectionObserver = new IntersectionObserver(
       (entries) => {
         for (const entry of entries) {
-          if (entry.isIntersecting && entry.target.tagName === "IMG") {
-            if (
-              !entry.target.getAttribute("data-blur-processed") &&
-              !entry.target.getAttribute("data-blur-unblurred")
-            ) {
-              this.blurImage(entry.target);
-            }
+          if (entry.isIntersecting) {
+            this.blurMedia(entry.target);
           }
         }
       },
@@ -603,65 +1480,157 @@ class ImageBlurFilter {
       }
     );
 
-    // Observe all images
-    document.querySelectorAll("img").forEach((img) => {
-      this.intersectionObserver.observe(img);
-    });
+    // Mutation observers for the document and every root found so far
+    for (const root of this.roots.keys()) {
+      this.observeRoot(root);
+    }
 
     // Reduced frequency fallback check
-    setInterval(() => {
+    clearInterval(this.fallbackInterval);
+    this.fallbackInterval = setInterval(() => {
       this.fallbackImageCheck();
     }, 3000);
   }
 
+  observeRoot(root) {
+    this.observeMutations(root);
+
+    // Observe all images, videos and other selector-based media
+    for (const source of MEDIA_SOURCES) {
+      const selector = this.getSourceSelector(source);
+      if (!selector) continue;
+
+      root.querySelectorAll(selector).forEach((element) => {
+        this.intersectionObserver.observe(element);
+      });
+    }
+  }
+
+  // Keyword text (alt text, titles, captions) is only watched while there
+  // are keywords, as text changes are frequent on busy pages
+  observeMutations(root) {
+    const hasKeywords = this.hasKeywords();
+
+    // Throttled mutation observer. Records of every callback in the window
+    // are kept, as keyword text changes have no fallback scan.
+    let mutationTimeout;
+    let pendingMutations = [];
+    const observer = new MutationObserver((mutations) => {
+      pendingMutations = pendingMutations.concat(mutations);
+
+      // Throttle mutations for better performance
+      clearTimeout(mutationTimeout);
+      mutationTimeout = setTimeout(() => {
+        const batch = pendingMutations;
+        pendingMutations = [];
+        this.processMutations(batch);
+      }, 50);
+    });
+
+    // Start observing with optimized settings
+    const watchedAttributes = new Set([
+      "style",
+      ...(hasKeywords ? KEYWORD_ATTRIBUTES : []),
+    ]);
+    for (const source of MEDIA_SOURCES) {
+      for (const attribute of source.attributes || []) {
+        watchedAttributes.add(attribute);
+      }
+    }
+
+    observer.observe(root.body || root, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: Array.from(watchedAttributes),
+      attributeOldValue: false,
+      // Caption text, for keywords
+      characterData: hasKeywords,
+    });
+    this.roots.set(root, observer);
+    this.observingKeywords = hasKeywords;
+  }
+
+  hasKeywords() {
+    return (this.settings.keywords || []).length > 0;
+  }
+
   // Optimized mutation processing
   processMutations(mutations) {
-    const imagesToProcess = new Set();
+    const mediaToProcess = new Map();
     const elementsToCheck = new Set();
+    const keywordTargets = new Map();
+    const hasKeywords = this.hasKeywords();
 
     for (const mutation of mutations) {
       // Handle added nodes efficiently
       for (const node of mutation.addedNodes) {
         if (node.nodeType === Node.ELEMENT_NODE) {
-          if (node.tagName === "IMG") {
-            imagesToProcess.add(node);
-          } else if (node.querySelectorAll) {
-            // Batch collect images
-            const images = node.querySelectorAll("img");
-            for (const img of images) {
-              imagesToProcess.add(img);
+          // Batch collect media of every source
+          for (const source of MEDIA_SOURCES) {
+            const selector = this.getSourceSelector(source);
+            if (!selector) continue;
+
+            if (node.matches(selector) && !mediaToProcess.has(node)) {
+              mediaToProcess.set(node, source);
+            }
+            for (const element of node.querySelectorAll(selector)) {
+              if (!mediaToProcess.has(element)) {
+                mediaToProcess.set(element, source);
+              }
             }
-            elementsToCheck.add(node);
           }
+          elementsToCheck.add(node);
+
+          // Components attach their shadow roots when they are created
+          this.discoverRoots(node);
         }
       }
 
-      // Handle attribute changes efficiently
+      // Handle attribute changes efficiently (e.g. <image href> inside <svg>)
       if (mutation.type === "attributes") {
         const target = mutation.target;
-        if (
-          mutation.attributeName === "src" ||
-          mutation.attributeName === "srcset" ||
-          mutation.attributeName === "data-src"
-        ) {
-          if (target.tagName === "IMG") {
-            imagesToProcess.add(target);
+        for (const source of MEDIA_SOURCES) {
+          const selector = this.getSourceSelector(source);
+          if (
+            !selector ||
+            !(source.attributes || []).includes(mutation.attributeName)
+          ) {
+            continue;
+          }
+
+          const element = target.closest && target.closest(selector);
+          if (element && !mediaToProcess.has(element)) {
+            mediaToProcess.set(element, source);
           }
         }
       }
+
+      // Alt text, titles or captions keywords match against
+      if (hasKeywords) {
+        this.collectKeywordTargets(mutation, keywordTargets);
+      }
     }
 
-    // Process collected images
-    for (const img of imagesToProcess) {
-      if (
-        !img.getAttribute("data-blur-processed") &&
-        !img.getAttribute("data-blur-unblurred")
-      ) {
-        this.blurImage(img);
-        this.intersectionObserver.observe(img);
+    // Process collected media
+    for (const [element, source] of mediaToProcess) {
+      if (this.isPending(element, source)) {
+        this.blurMedia(element, source);
+        this.intersectionObserver.observe(element);
+      }
+    }
+
+    for (const [element, source] of keywordTargets) {
+      if (!mediaToProcess.has(element)) {
+        this.refreshKeywordMatch(element, source);
       }
     }
 
+    // Changed content may have moved blurred elements under their overlays
+    for (const layer of this.overlayLayers.values()) {
+      layer.refresh();
+    }
+
     // Check for background images in new elements
     if (elementsToCheck.size > 0) {
       requestAnimationFrame(() => {
@@ -672,6 +1641,35 @@ class ImageBlurFilter {
     }
   }
 
+  // Media whose keyword text a mutation changed: its own alt, title or
+  // ARIA label, or the caption of its <figure>
+  collectKeywordTargets(mutation, targets) {
+    if (mutation.type === "attributes") {
+      if (!KEYWORD_ATTRIBUTES.includes(mutation.attributeName)) return;
+
+      const source = this.getMediaSource(mutation.target);
+      if (source) targets.set(mutation.target, source);
+      return;
+    }
+
+    const node =
+      mutation.target.nodeType === Node.ELEMENT_NODE
+        ? mutation.target
+        : mutation.target.parentElement;
+    const caption = node && node.closest("figcaption");
+    const figure = caption && caption.closest("figure");
+    if (!figure) return;
+
+    for (const source of MEDIA_SOURCES) {
+      const selector = this.getSourceSelector(source);
+      if (!selector) continue;
+
+      for (const element of figure.querySelectorAll(selector)) {
+        if (!targets.has(element)) targets.set(element, source);
+      }
+    }
+  }
+
   // Optimized background image checking
   checkElementForBackgroundImages(element) {
     if (
@@ -687,7 +1685,7 @@ class ImageBlurFilter {
         !style.includes("data:") &&
         !style.includes("gradient")
       ) {
-        this.blurBackgroundImage(element);
+        this.blurMedia(element, this.getSource("background"));
       }
     }
 
@@ -699,22 +1697,42 @@ class ImageBlurFilter {
 
   // Lightweight fallback check
   fallbackImageCheck() {
-    // Only check images that might have been missed
-    const uncheckedImages = document.querySelectorAll(
-      "img:not([data-blur-processed]):not([data-blur-unblurred])"
-    );
+    // Stylesheets may have loaded since the last scan
+    this.refreshSourceSelectors();
+
+    // Pick up shadow roots attached without a DOM mutation we could see
+    this.pruneRoots();
+    this.discoverRoots(document);
+
+    // Only check media that might have been missed
+    const uncheckedMedia = [];
+    for (const root of this.roots.keys()) {
+      for (const source of MEDIA_SOURCES) {
+        const selector = this.getSourceSelector(source);
+        if (!selector) continue;
+
+        const { processed, unblurred } = this.getSourceAttributes(source);
+        const elements = root.querySelectorAll(
+          `:is(${selector}):not([${processed}]):not([${unblurred}])`
+        );
+        for (const element of elements) {
+          uncheckedMedia.push([element, source]);
+        }
+      }
+    }
 
-    if (uncheckedImages.length > 0) {
+    if (uncheckedMedia.length > 0) {
       // Process in small batches to avoid blocking
       let index = 0;
       const processBatch = () => {
-        const batchEnd = Math.min(index + 5, uncheckedImages.length);
+        const batchEnd = Math.min(index + 5, uncheckedMedia.length);
         for (let i = index; i < batchEnd; i++) {
-          this.blurImage(uncheckedImages[i]);
+          const [element, source] = uncheckedMedia[i];
+          this.blurMedia(element, source);
         }
         index = batchEnd;
 
-        if (index < uncheckedImages.length) {
+        if (index < uncheckedMedia.length) {
           requestAnimationFrame(processBatch);
         }
       };
@@ -722,111 +1740,161 @@ class ImageBlurFilter {
     }
   }
 
-  async handleSettingsChange(newSettings) {
-    this.settings = newSettings;
+  async handleSettingsChange() {
+    // Re-resolve against this page, as its site profile may have changed.
+    // Unreadable settings keep the current ones.
+    const settings = await this.getSettings();
+    if (!settings) return;
+    this.settings = settings;
 
-    // Re-check whitelist status
-    this.isWhitelisted = await this.checkWhitelist();
+    // Re-check whitelist and pause status
+    const wasSourceRulesOnly = this.sourceRulesOnly;
+    this.updateBlurScope();
 
     // If extension is disabled or newly whitelisted, remove everything
-    if (!newSettings.enabled || this.isWhitelisted) {
+    if (!this.shouldRun()) {
+      this.removeAllBlurs();
+      return;
+    }
+
+    // Newly enabled (e.g. by a schedule or an expired pause): run the
+    // whole pipeline
+    if (!this.isActive) {
+      this.startBlurring();
+      return;
+    }
+
+    // Newly whitelisted with source rules, or the other way around: start
+    // over with the other scope
+    if (this.sourceRulesOnly !== wasSourceRulesOnly) {
       this.removeAllBlurs();
+      this.startBlurring();
       return;
     }
 
     // Update CSS with new intensity
     this.updatePreBlurCSS();
 
+    // Release element types the site profile no longer covers
+    for (const element of Array.from(this.blurredElements)) {
+      const source = this.elementSources.get(element);
+      if (!this.isSourceEnabled(source)) {
+        this.revealMedia(element, false);
+      } else if (this.getRuleDecision(element, source) === "show") {
+        this.revealMedia(element, false);
+      }
+    }
+
     // Update existing blurred images with new intensity
     for (const element of this.blurredElements) {
-      element.style.filter = `blur(${newSettings.blurIntensity}px)`;
+      this.applyBlurStyle(element);
+    }
+
+    // The classifier, its threshold or the hash threshold may have changed
+    this.applyInspections();
+
+    // So may the keywords or keyword-only mode, and with the first or last
+    // keyword, whether keyword text is watched
+    if (this.hasKeywords() !== this.observingKeywords) {
+      for (const [root, observer] of this.roots) {
+        if (!observer) continue;
+        observer.disconnect();
+        this.observeMutations(root);
+      }
+    }
+    for (const element of Array.from(this.blurredElements)) {
+      this.refreshKeywordMatch(element, this.elementSources.get(element));
+    }
+    for (const [element, source] of Array.from(this.keywordSkipped)) {
+      this.refreshKeywordMatch(element, source);
     }
 
     // Re-process images if needed
     this.batchProcessExistingImages();
   }
 
+  // Blur everything again, including elements revealed one by one
+  async reblurAll() {
+    const settings = await this.getSettings();
+    if (!settings) return;
+    this.settings = settings;
+    this.updateBlurScope();
+    if (!this.shouldRun()) return;
+
+    this.ignoreRememberedReveals = true;
+    this.removeAllBlurs();
+    this.startBlurring();
+  }
+
   removeAllBlurs() {
+    this.isActive = false;
+    clearInterval(this.fallbackInterval);
+
     // Clean up observers first
-    if (this.observer) {
-      this.observer.disconnect();
+    for (const [root, observer] of this.roots) {
+      if (observer) {
+        observer.disconnect();
+        this.roots.set(root, null);
+      }
     }
     if (this.intersectionObserver) {
       this.intersectionObserver.disconnect();
     }
 
-    // Clean up CSS overrides
-    const existingOverride = document.getElementById("blur-extension-override");
-    const existingPreload = document.getElementById("blur-extension-preload");
-    if (existingOverride) existingOverride.remove();
-    if (existingPreload) existingPreload.remove();
+    // Clean up CSS overrides in every root
+    for (const root of this.roots.keys()) {
+      const existingOverride = root.getElementById("blur-extension-override");
+      const existingPreload = root.getElementById("blur-extension-preload");
+      const existingFilters = root.getElementById("blur-extension-filters");
+      if (existingOverride) existingOverride.remove();
+      if (existingPreload) existingPreload.remove();
+      if (existingFilters) existingFilters.remove();
+    }
 
     // Efficiently remove all blurs
     for (const element of this.blurredElements) {
       element.style.filter = "none";
-      element.removeAttribute("data-blur-processed");
-      element.removeAttribute("data-blur-bg-processed");
-      element.removeAttribute("data-blur-unblurred");
-      element.removeAttribute("data-blur-bg-unblurred");
 
       // Clean up overlays with all event listeners
-      const overlayData = this.overlays.get(element);
-      if (overlayData) {
-        const {
-          overlay,
-          wrapper,
-          showOverlay,
-          hideOverlay,
-          mouseEnterHandler,
-          mouseLeaveHandler,
-          clickHandler,
-        } = overlayData;
-
-        // Remove wrapper event listeners
-        if (wrapper) {
-          wrapper.removeEventListener("mouseenter", showOverlay);
-          wrapper.removeEventListener("mouseleave", hideOverlay);
-
-          // Unwrap images
-          if (wrapper.parentNode) {
-            wrapper.parentNode.insertBefore(element, wrapper);
-            wrapper.remove();
-          }
-        } else if (showOverlay && hideOverlay) {
-          // Background image element listeners
-          element.removeEventListener("mouseenter", showOverlay);
-          element.removeEventListener("mouseleave", hideOverlay);
-        }
+      this.removeOverlay(element);
 
-        // Remove button event listeners
-        const unblurBtn = overlay.querySelector(".unblur-btn, .unblur-bg-btn");
-        if (
-          unblurBtn &&
-          mouseEnterHandler &&
-          mouseLeaveHandler &&
-          clickHandler
-        ) {
-          unblurBtn.removeEventListener("mouseenter", mouseEnterHandler);
-          unblurBtn.removeEventListener("mouseleave", mouseLeaveHandler);
-          unblurBtn.removeEventListener("click", clickHandler);
-        }
+      // Let sources undo their side effects (e.g. resume paused videos)
+      const source = this.elementSources.get(element);
+      if (source && source.onReveal) {
+        source.onReveal(element, this);
+      }
+    }
 
-        overlay.remove();
+    // Clear processed and unblurred markers of every source
+    const markerAttributes = MEDIA_SOURCES.flatMap((source) => {
+      const { processed, unblurred } = this.getSourceAttributes(source);
+      return [processed, unblurred];
+    })
+      .concat(INSPECTING_ATTRIBUTE)
+      .filter((attribute, index, all) => all.indexOf(attribute) === index);
+
+    for (const root of this.roots.keys()) {
+      const markedElements = root.querySelectorAll(
+        markerAttributes.map((attribute) => `[${attribute}]`).join(", ")
+      );
+      for (const element of markedElements) {
+        for (const attribute of markerAttributes) {
+          element.removeAttribute(attribute);
+        }
       }
     }
 
-    // Clear remaining unblurred elements
-    const unblurredElements = document.querySelectorAll(
-      "[data-blur-unblurred], [data-blur-bg-unblurred]"
-    );
-    for (const element of unblurredElements) {
-      element.removeAttribute("data-blur-unblurred");
-      element.removeAttribute("data-blur-bg-unblurred");
+    for (const layer of this.overlayLayers.values()) {
+      layer.destroy();
     }
 
     this.blurredElements.clear();
+    this.elementSources.clear();
     this.overlays.clear();
+    this.overlayLayers.clear();
     this.processingQueue.clear();
+    this.keywordMatches.clear();
+    this.keywordSkipped.clear();
   }
 }
 
@@ -0,0 +1,81 @@
+// Perceptual hashes of known images. A dHash compares the brightness of
+// neighbouring pixels in a 9x8 grayscale thumbnail, so it survives
+// re-encoding, resizing and URL changes; images whose hashes differ in at
+// most settings.hashThreshold bits count as the same image.
+//
+// Known images live in storage.local as imageHashes: a list of
+// { hash, action, url, addedAt }, where action is "blur" or "show" and url
+// is where the image was first seen. Content scripts read the list and
+// match hashes themselves.
+
+const IMAGE_HASH_WIDTH = 9;
+const IMAGE_HASH_HEIGHT = 8;
+const IMAGE_HASH_MAX_ENTRIES = 1000;
+
+// 64-bit difference hash as 16 hex digits, from a 9x8 ImageData
+function computeDHash(imageData) {
+  const { data } = imageData;
+  const brightness = (x, y) => {
+    const index = (y * IMAGE_HASH_WIDTH + x) * 4;
+    return (
+      0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2]
+    );
+  };
+
+  let hash = "";
+  for (let y = 0; y < IMAGE_HASH_HEIGHT; y++) {
+    let bits = 0;
+    for (let x = 0; x < IMAGE_HASH_WIDTH - 1; x++) {
+      bits = (bits << 1) | (brightness(x, y) > brightness(x + 1, y) ? 1 : 0);
+    }
+    hash += bits.toString(16).padStart(2, "0");
+  }
+  return hash;
+}
+
+function getImageHashes(callback) {
+  chrome.storage.local.get(["imageHashes"], (result) => {
+    callback(Array.isArray(result.imageHashes) ? result.imageHashes : []);
+  });
+}
+
+// Add an image to the known images, replacing an entry with the same hash.
+// The newest entries are kept once the list is full.
+function addImageHash(entry, callback) {
+  getImageHashes((imageHashes) => {
+    const updated = imageHashes
+      .filter((other) => other.hash !== entry.hash)
+      .concat({ ...entry, addedAt: Date.now() })
+      .slice(-IMAGE_HASH_MAX_ENTRIES);
+    chrome.storage.local.set({ imageHashes: updated }, callback);
+  });
+}
+
+// Forget one known image by hash, or all of them
+function removeImageHash(hash, callback) {
+  if (!hash) {
+    chrome.storage.local.set({ imageHashes: [] }, callback);
+    return;
+  }
+
+  getImageHashes((imageHashes) => {
+    chrome.storage.local.set(
+      { imageHashes: imageHashes.filter((entry) => entry.hash !== hash) },
+      callback
+    );
+  });
+}
+
+// "Remember this image" from an overlay: hash the image and add it to the
+// known images. Calls back with { success, hash } or { success, error }.
+function rememberImage(url, action, callback) {
+  inspectImage(url, null, ({ hash }) => {
+    if (!hash) {
+      callback({ success: false, error: "This image can't be hashed" });
+      return;
+    }
+    addImageHash({ hash, action, url }, () =>
+      callback({ success: true, hash })
+    );
+  });
+}
@@ -0,0 +1,189 @@
+// Optional password lock for shared machines, enforced by the background.
+// The password is kept as a salted PBKDF2 hash in storage.local, never in
+// the synced settings. Unlocking lasts for the configured number of minutes
+// and is tracked in storage.session, so it also ends with the browser.
+
+const LOCK_ITERATIONS = 100000;
+const LOCK_TIMEOUT_MINUTES = 5;
+const LOCK_MIN_PASSWORD_LENGTH = 4;
+
+const LOCKED_RESPONSE = {
+  success: false,
+  locked: true,
+  error: "Settings are locked",
+};
+
+function getLock(callback) {
+  chrome.storage.local.get(["lock"], (result) => {
+    callback(result.lock && result.lock.hash ? result.lock : null);
+  });
+}
+
+// Calls back with (locked, lock, unlockedUntil). Without a password nothing
+// is ever locked.
+function checkLock(callback) {
+  getLock((lock) => {
+    if (!lock) {
+      callback(false, null, null);
+      return;
+    }
+
+    chrome.storage.session.get(["unlockedUntil"], (result) => {
+      const unlockedUntil = result.unlockedUntil || 0;
+      callback(unlockedUntil <= Date.now(), lock, unlockedUntil);
+    });
+  });
+}
+
+// Lock state as shown by the popup
+function getLockState(callback) {
+  checkLock((locked, lock, unlockedUntil) => {
+    callback({
+      enabled: !!lock,
+      locked,
+      unlockedUntil: locked ? null : unlockedUntil,
+      lockReveals: !!(lock && lock.lockReveals),
+      timeoutMinutes: (lock && lock.timeoutMinutes) || LOCK_TIMEOUT_MINUTES,
+    });
+  });
+}
+
+// Run `action` unless the lock refuses it, `onLocked` otherwise
+function whenUnlocked(action, onLocked = () => {}) {
+  checkLock((locked) => (locked ? onLocked() : action()));
+}
+
+// Individual reveals are only gated when the lock is set up to
+function authorizeReveal(callback) {
+  checkLock((locked, lock) => {
+    callback({ allowed: !locked || !lock.lockReveals });
+  });
+}
+
+function startUnlockedPeriod(lock, callback) {
+  const minutes = lock.timeoutMinutes || LOCK_TIMEOUT_MINUTES;
+  chrome.storage.session.set(
+    { unlockedUntil: Date.now() + minutes * 60 * 1000 },
+    callback
+  );
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(
+    ""
+  );
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map((pair) => parseInt(pair, 16)));
+}
+
+async function hashPassword(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: hexToBytes(salt), iterations },
+    key,
+    256
+  );
+  return bytesToHex(new Uint8Array(bits));
+}
+
+function unlock(password, callback) {
+  getLock((lock) => {
+    if (!lock) {
+      callback({ success: true });
+      return;
+    }
+
+    hashPassword(String(password || ""), lock.salt, lock.iterations).then(
+      (hash) => {
+        if (hash !== lock.hash) {
+          callback({ success: false, error: "Wrong password" });
+          return;
+        }
+        startUnlockedPeriod(lock, () => callback({ success: true }));
+      }
+    );
+  });
+}
+
+function lockNow(callback) {
+  chrome.storage.session.remove("unlockedUntil", callback);
+}
+
+// Set or change the password. Changing it needs the lock to be open.
+function setPassword(password, callback) {
+  if (String(password || "").length < LOCK_MIN_PASSWORD_LENGTH) {
+    callback({
+      success: false,
+      error: `Use at least ${LOCK_MIN_PASSWORD_LENGTH} characters`,
+    });
+    return;
+  }
+
+  whenUnlocked(
+    () => {
+      getLock((previous) => {
+        const salt = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+        hashPassword(password, salt, LOCK_ITERATIONS).then((hash) => {
+          const lock = {
+            hash,
+            salt,
+            iterations: LOCK_ITERATIONS,
+            lockReveals: !!(previous && previous.lockReveals),
+            timeoutMinutes:
+              (previous && previous.timeoutMinutes) || LOCK_TIMEOUT_MINUTES,
+          };
+
+          // Stay unlocked right after setting it
+          chrome.storage.local.set({ lock }, () => {
+            startUnlockedPeriod(lock, () => callback({ success: true }));
+          });
+        });
+      });
+    },
+    () => callback(LOCKED_RESPONSE)
+  );
+}
+
+function removePassword(callback) {
+  whenUnlocked(
+    () => {
+      chrome.storage.local.remove("lock", () => {
+        lockNow(() => callback({ success: true }));
+      });
+    },
+    () => callback(LOCKED_RESPONSE)
+  );
+}
+
+function updateLockOptions({ lockReveals, timeoutMinutes }, callback) {
+  whenUnlocked(
+    () => {
+      getLock((lock) => {
+        if (!lock) {
+          callback({ success: false, error: "No password is set" });
+          return;
+        }
+
+        if (lockReveals !== undefined) {
+          lock.lockReveals = !!lockReveals;
+        }
+        if (timeoutMinutes !== undefined) {
+          lock.timeoutMinutes = Math.min(
+            Math.max(parseInt(timeoutMinutes) || LOCK_TIMEOUT_MINUTES, 1),
+            24 * 60
+          );
+        }
+        chrome.storage.local.set({ lock }, () => callback({ success: true }));
+      });
+    },
+    () => callback(LOCKED_RESPONSE)
+  );
+}
@@ -0,0 +1,250 @@
+// Pluggable media sources used by the content script's detection pipeline.
+// Each source describes one kind of visual the page can render: how to find
+// it, whether it is worth blurring and what to do when it is blurred or
+// revealed. Sources are matched in order.
+//
+// Source fields:
+//   name             - unique identifier
+//   type             - element type a site profile can switch on or off
+//                      ("images", "backgrounds", "videos" or "canvas")
+//   selector         - CSS selector for candidates (null when the source is
+//                      discovered some other way)
+//   findSelector()   - computes the selector at scan time instead
+//   preBlurSelector  - blurred by the preload stylesheet before processing
+//   attributes       - attribute mutations that mean "check again"
+//   attributePrefix  - prefix of the processed/unblurred marker attributes
+//   blurStyle        - "filter" (inline style) or "pseudo" (::before/::after)
+//   isValid()        - whether the element should be blurred
+//   classifiable     - its image URL can be scored by the image classifier
+//                      and hashed to match known images
+//   onBlur/onReveal  - optional hooks run after blurring / revealing
+
+// Embedded video players (iframes) that get blurred like <video> elements
+const EMBED_PLAYER_PATTERNS = [
+  "youtube.com/embed",
+  "youtube-nocookie.com/embed",
+  "player.vimeo.com/video",
+  "dailymotion.com/embed",
+  "player.twitch.tv",
+];
+
+const EMBED_PLAYER_SELECTOR = EMBED_PLAYER_PATTERNS.map(
+  (pattern) => `iframe[src*="${pattern}"]`
+).join(", ");
+
+const IMAGE_URL_PATTERN = /\.(png|jpe?g|gif|webp|avif|bmp|svg)(\?|#|$)/i;
+
+function hasMinimumSize(element, minSize) {
+  const rect = element.getBoundingClientRect();
+  return rect.width >= minSize && rect.height >= minSize;
+}
+
+// <object data> / <embed src> pointing at an image
+function isImageResource(element) {
+  const type = (element.getAttribute("type") || "").toLowerCase();
+  const url = element.getAttribute("data") || element.getAttribute("src") || "";
+  return type.startsWith("image/") || IMAGE_URL_PATTERN.test(url);
+}
+
+function hasPseudoImage(element) {
+  for (const pseudo of ["::before", "::after"]) {
+    const content = getComputedStyle(element, pseudo).content;
+    if (content && content.includes("url(") && !content.includes("data:")) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Absolute URLs inside CSS url() values, skipping inline data: images
+function extractCssUrls(value) {
+  const urls = [];
+  for (const match of String(value || "").matchAll(/url\((['"]?)(.*?)\1\)/g)) {
+    if (!match[2].startsWith("data:")) {
+      urls.push(match[2]);
+    }
+  }
+  return urls;
+}
+
+// Every URL an element displays, resolved against the document, e.g. to
+// match it against source rules or find it from a context menu click
+function getElementMediaUrls(element, source) {
+  const urls = [];
+  const add = (url) => url && urls.push(url);
+
+  if (source && source.name === "background") {
+    extractCssUrls(
+      element.style.backgroundImage || getComputedStyle(element).backgroundImage
+    ).forEach(add);
+  } else if (source && source.name === "pseudo-image") {
+    for (const pseudo of ["::before", "::after"]) {
+      extractCssUrls(getComputedStyle(element, pseudo).content).forEach(add);
+    }
+  } else if (element.tagName.toLowerCase() === "svg") {
+    element.querySelectorAll("image").forEach((image) => {
+      add(image.getAttribute("href") || image.getAttribute("xlink:href"));
+    });
+  } else {
+    add(element.currentSrc);
+    add(element.getAttribute("src"));
+    add(element.getAttribute("data-src"));
+    add(element.getAttribute("data"));
+    add(element.getAttribute("poster"));
+    (element.getAttribute("srcset") || "").split(",").forEach((candidate) => {
+      add(candidate.trim().split(/\s+/)[0]);
+    });
+  }
+
+  const resolved = new Set();
+  for (const url of urls) {
+    try {
+      resolved.add(new URL(url, element.baseURI || document.baseURI).href);
+    } catch (e) {
+      // Not a URL we can resolve
+    }
+  }
+  return Array.from(resolved);
+}
+
+// Query parameters that change between loads of the same image
+const VOLATILE_QUERY_PARAMS = ["_", "t", "ts", "cb", "cachebuster", "timestamp"];
+
+// Stable form of an image URL for remembering it across reloads: no
+// fragment, no cache-busting parameters, remaining parameters sorted
+function normalizeMediaUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    for (const param of Array.from(parsed.searchParams.keys())) {
+      if (VOLATILE_QUERY_PARAMS.includes(param.toLowerCase())) {
+        parsed.searchParams.delete(param);
+      }
+    }
+    parsed.searchParams.sort();
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+// Collect the elements whose ::before/::after render an image through
+// `content: url()`. Only top-level rules of readable (same-origin)
+// stylesheets are inspected; computing pseudo styles for every element on
+// the page would be far too slow.
+function findPseudoImageSelector() {
+  const selectors = new Set();
+  const probe = document.createDocumentFragment();
+
+  for (const sheet of Array.from(document.styleSheets)) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (e) {
+      continue; // Cross-origin stylesheet
+    }
+
+    for (const rule of Array.from(rules)) {
+      if (!rule.selectorText || !rule.style) continue;
+      if (!rule.style.getPropertyValue("content").includes("url(")) continue;
+
+      for (const part of rule.selectorText.split(",")) {
+        const host = part.replace(/::?(before|after)\b/g, "").trim();
+        if (!host || host === part.trim()) continue;
+
+        try {
+          probe.querySelector(host);
+          selectors.add(host);
+        } catch (e) {
+          // Not a selector we can query with
+        }
+      }
+    }
+  }
+
+  return selectors.size > 0 ? Array.from(selectors).join(", ") : null;
+}
+
+const MEDIA_SOURCES = [
+  {
+    name: "image",
+    type: "images",
+    selector: "img",
+    preBlurSelector: "img",
+    attributes: ["src", "srcset", "data-src"],
+    classifiable: true,
+    isValid: (img, filter) => filter.isValidImage(img),
+  },
+  {
+    name: "video",
+    type: "videos",
+    selector: `video, ${EMBED_PLAYER_SELECTOR}`,
+    preBlurSelector: `video, ${EMBED_PLAYER_SELECTOR}`,
+    attributes: ["src", "poster"],
+    isValid: (video, filter) => filter.isValidVideo(video),
+    onBlur: (video, filter) => filter.holdVideoPlayback(video),
+    onReveal: (video, filter) => filter.releaseVideoPlayback(video),
+  },
+  {
+    name: "svg-image",
+    type: "images",
+    selector: "svg",
+    attributes: ["href"],
+    classifiable: true,
+    isValid: (svg, filter) =>
+      Array.from(svg.querySelectorAll("image")).some(
+        (image) =>
+          image.getAttribute("href") || image.getAttribute("xlink:href")
+      ) && hasMinimumSize(svg, filter.getMinimumSize()),
+  },
+  {
+    name: "canvas",
+    type: "canvas",
+    selector: "canvas",
+    isValid: (canvas, filter) =>
+      hasMinimumSize(canvas, 50) && !filter.matchesSkipPattern(canvas),
+  },
+  {
+    name: "embedded-image",
+    type: "images",
+    selector: "object, embed",
+    preBlurSelector: 'object[type^="image/"], embed[type^="image/"]',
+    attributes: ["data", "src", "type"],
+    classifiable: true,
+    isValid: (element, filter) =>
+      isImageResource(element) &&
+      hasMinimumSize(element, filter.getMinimumSize()),
+  },
+  {
+    name: "input-image",
+    type: "images",
+    selector: 'input[type="image"]',
+    preBlurSelector: 'input[type="image"]',
+    attributes: ["src"],
+    classifiable: true,
+    isValid: (input, filter) =>
+      !!input.getAttribute("src") &&
+      hasMinimumSize(input, filter.getMinimumSize()),
+  },
+  {
+    name: "pseudo-image",
+    type: "images",
+    selector: null,
+    findSelector: findPseudoImageSelector,
+    attributePrefix: "data-blur-pseudo",
+    classifiable: true,
+    blurStyle: "pseudo",
+    isValid: (element, filter) =>
+      hasMinimumSize(element, filter.getMinimumSize()) &&
+      hasPseudoImage(element),
+  },
+  {
+    // Discovered by getBackgroundImageElements rather than a selector
+    name: "background",
+    type: "backgrounds",
+    selector: null,
+    attributePrefix: "data-blur-bg",
+    classifiable: true,
+    isValid: (element) => hasMinimumSize(element, 50),
+  },
+];
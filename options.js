@@ -0,0 +1,1105 @@
+// Options page: every setting, with list editors made for long lists
+
+// List editors, keyed by settings list. Lists without validate/normalize
+// hold URL rules.
+const OPTION_LISTS = {
+  whitelist: {
+    label: "Whitelist",
+    hint: "Never blurred in whitelist mode",
+    container: "listEditors",
+  },
+  blocklist: {
+    label: "Blocklist",
+    hint: "The only sites blurred in blocklist mode",
+    container: "listEditors",
+  },
+  alwaysShowSources: {
+    label: "Never blur images from",
+    hint: "Image URLs shown on every page, whatever the mode",
+    container: "listEditors",
+  },
+  alwaysBlurSources: {
+    label: "Always blur images from",
+    hint: "Image URLs blurred on every page, whatever the mode",
+    container: "listEditors",
+  },
+  keywords: {
+    label: "Blur media mentioning",
+    hint: "Whole words, matched case-insensitively, e.g. spider",
+    container: "keywordEditors",
+    validate: () => null,
+    normalize: (keyword) => keyword.toLowerCase(),
+  },
+  skipPatterns: {
+    label: "Skip images whose class or id contains",
+    hint: "Matched case-insensitively, e.g. icon or avatar",
+    container: "detectionEditors",
+    validate: (pattern) =>
+      /[\s,]/.test(pattern) ? "cannot contain spaces or commas" : null,
+    normalize: (pattern) => pattern.toLowerCase(),
+  },
+};
+
+const LIST_SORTS = {
+  added: "Order added",
+  asc: "A to Z",
+  desc: "Z to A",
+};
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Badge colors given to new setting sets, in turn
+const SETTING_SET_COLORS = ["#3F51B5", "#9C27B0", "#795548", "#009688"];
+
+// One list: search, sort, paste many entries at once, select and delete
+// several. Changes go through onChange with the complete new list.
+class ListEditor {
+  constructor(config, onChange) {
+    this.config = config;
+    this.onChange = onChange;
+    this.entries = [];
+    this.selected = new Set();
+    this.build();
+  }
+
+  build() {
+    const editor = document.createElement("div");
+    editor.className = "list-editor";
+    editor.innerHTML = `
+      <div class="list-header">
+        <h3></h3>
+        <span class="list-count"></span>
+      </div>
+      <p class="hint"></p>
+      <div class="list-toolbar">
+        <input type="search" class="list-search" placeholder="Search" />
+        <select class="list-sort"></select>
+      </div>
+      <ul class="list-items"></ul>
+      <div class="list-toolbar">
+        <label class="checkbox-label">
+          <input type="checkbox" class="list-select-all" />
+          Select all
+        </label>
+        <button class="btn-secondary list-delete">Delete selected</button>
+      </div>
+      <textarea
+        class="list-input"
+        rows="3"
+        placeholder="Paste entries, one per line or separated by commas"
+      ></textarea>
+      <ul class="input-error list-errors" hidden></ul>
+      <button class="btn-primary list-add">Add</button>
+    `;
+
+    this.elements = {
+      count: editor.querySelector(".list-count"),
+      search: editor.querySelector(".list-search"),
+      sort: editor.querySelector(".list-sort"),
+      items: editor.querySelector(".list-items"),
+      selectAll: editor.querySelector(".list-select-all"),
+      deleteSelected: editor.querySelector(".list-delete"),
+      input: editor.querySelector(".list-input"),
+      errors: editor.querySelector(".list-errors"),
+      add: editor.querySelector(".list-add"),
+    };
+    editor.querySelector("h3").textContent = this.config.label;
+    editor.querySelector(".hint").textContent = this.config.hint;
+    fillSelect(this.elements.sort, LIST_SORTS);
+
+    const { search, sort, selectAll, deleteSelected, input, add } =
+      this.elements;
+
+    search.addEventListener("input", () => this.renderItems());
+    sort.addEventListener("change", () => this.renderItems());
+
+    selectAll.addEventListener("change", () => {
+      for (const entry of this.getVisibleEntries()) {
+        if (selectAll.checked) {
+          this.selected.add(entry);
+        } else {
+          this.selected.delete(entry);
+        }
+      }
+      this.renderItems();
+    });
+
+    deleteSelected.addEventListener("click", () => {
+      const remaining = this.entries.filter(
+        (entry) => !this.selected.has(entry)
+      );
+      this.selected.clear();
+      this.onChange(remaining);
+    });
+
+    // Validate while typing, so mistakes show before anything is saved
+    input.addEventListener("input", () => this.parseInput());
+
+    add.addEventListener("click", () => {
+      const { entries, errors } = this.parseInput();
+      if (errors.length > 0 || entries.length === 0) return;
+
+      const added = entries.filter((entry) => !this.entries.includes(entry));
+      input.value = "";
+      this.parseInput();
+      if (added.length > 0) {
+        this.onChange([...this.entries, ...added]);
+      }
+    });
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        add.click();
+      }
+    });
+
+    document.getElementById(this.config.container).appendChild(editor);
+  }
+
+  parseInput() {
+    const result = parseListInput(
+      this.elements.input.value,
+      this.config.validate,
+      this.config.normalize
+    );
+
+    const { errors, add } = this.elements;
+    errors.innerHTML = "";
+    for (const error of result.errors) {
+      const li = document.createElement("li");
+      li.textContent = error;
+      errors.appendChild(li);
+    }
+    errors.hidden = result.errors.length === 0;
+    add.disabled = result.errors.length > 0 || result.entries.length === 0;
+    add.textContent =
+      result.entries.length > 1 ? `Add ${result.entries.length}` : "Add";
+    return result;
+  }
+
+  setEntries(entries) {
+    this.entries = entries.slice();
+    for (const entry of this.selected) {
+      if (!this.entries.includes(entry)) {
+        this.selected.delete(entry);
+      }
+    }
+    this.renderItems();
+    this.parseInput();
+  }
+
+  getVisibleEntries() {
+    const query = this.elements.search.value.trim().toLowerCase();
+    const entries = this.entries.filter((entry) =>
+      entry.toLowerCase().includes(query)
+    );
+
+    const sort = this.elements.sort.value;
+    if (sort !== "added") {
+      entries.sort((a, b) => a.localeCompare(b));
+      if (sort === "desc") entries.reverse();
+    }
+    return entries;
+  }
+
+  renderItems() {
+    const { count, items, selectAll, deleteSelected } = this.elements;
+    const visible = this.getVisibleEntries();
+
+    items.innerHTML = "";
+    for (const entry of visible) {
+      const li = document.createElement("li");
+      li.className = "list-item";
+      li.innerHTML = `
+        <label>
+          <input type="checkbox" />
+          <span></span>
+        </label>
+        <button class="remove-entry">Remove</button>
+      `;
+
+      // Entries may contain markup characters (e.g. regexes), so set as text
+      li.querySelector("span").textContent = entry;
+
+      const checkbox = li.querySelector("input");
+      checkbox.checked = this.selected.has(entry);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          this.selected.add(entry);
+        } else {
+          this.selected.delete(entry);
+        }
+        this.renderItems();
+      });
+
+      li.querySelector(".remove-entry").addEventListener("click", () => {
+        this.selected.delete(entry);
+        this.onChange(this.entries.filter((other) => other !== entry));
+      });
+
+      items.appendChild(li);
+    }
+
+    count.textContent =
+      visible.length === this.entries.length
+        ? `${this.entries.length}`
+        : `${visible.length} of ${this.entries.length}`;
+    selectAll.checked =
+      visible.length > 0 && visible.every((entry) => this.selected.has(entry));
+    deleteSelected.disabled = this.selected.size === 0;
+    deleteSelected.textContent =
+      this.selected.size > 0
+        ? `Delete selected (${this.selected.size})`
+        : "Delete selected";
+  }
+}
+
+class OptionsManager {
+  constructor() {
+    this.settings = null;
+    this.editors = {};
+    this.pendingSaves = 0;
+    // Id of the setting set the page edits, "" for the default one
+    this.editingSet = null;
+    this.init();
+  }
+
+  async init() {
+    // Already normalized by the background, defaults included. Starts out
+    // editing the set in use.
+    await this.reloadSettings();
+
+    // Nothing to show, and nothing to save over, until settings can be read
+    if (!this.settings) {
+      const storageBanner = document.getElementById("storageBanner");
+      storageBanner.textContent = SETTINGS_UNAVAILABLE_MESSAGE;
+      storageBanner.hidden = false;
+      document.getElementById("settingsForm").disabled = true;
+      return;
+    }
+
+    this.setupSettingSetControls();
+    this.setupGeneralControls();
+    this.setupListEditors();
+    this.setupProfileEditor();
+    this.setupSelectorRuleEditor();
+    this.setupScheduleEditor();
+    this.setupDetectionControls();
+    this.setupRememberControls();
+    this.setupImageHashControls();
+    this.setupBackupControls();
+    this.setupLockControls();
+
+    this.updateUI();
+    this.updateLockUI();
+    this.updateStorageUI();
+
+    // Follow changes made from the popup, shortcuts or another window.
+    // Our own saves come back here too, once they are all stored.
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "sync" || (area === "local" && changes.settings)) {
+        this.reloadSettings();
+      }
+      if (area === "local" && changes.lock) {
+        this.updateLockUI();
+      }
+      if (area === "local" && changes.revealedImages) {
+        this.updateRememberUI();
+      }
+      if (area === "local" && changes.imageHashes) {
+        this.updateImageHashesUI();
+      }
+    });
+  }
+
+  async reloadSettings() {
+    if (this.pendingSaves > 0) return;
+
+    // A set removed elsewhere falls back to the default one. An unreadable
+    // one keeps what is shown until it can be read again.
+    const settings = await fetchSettings({ settingSet: this.editingSet });
+    if (!settings) return;
+
+    this.settings = settings;
+    this.editingSet = this.settings.settingSet;
+    if (Object.keys(this.editors).length > 0) {
+      this.updateUI();
+    }
+  }
+
+  setupSettingSetControls() {
+    const activeSettingSet = document.getElementById("activeSettingSet");
+    const incognitoSettingSet = document.getElementById(
+      "incognitoSettingSet"
+    );
+    const editingSet = document.getElementById("editingSet");
+    const settingSetName = document.getElementById("settingSetName");
+    const addSettingSet = document.getElementById("addSettingSet");
+
+    activeSettingSet.addEventListener("change", () => {
+      this.settings.activeSettingSet = activeSettingSet.value;
+      this.saveSettings();
+    });
+    incognitoSettingSet.addEventListener("change", () => {
+      this.settings.incognitoSettingSet = incognitoSettingSet.value;
+      this.saveSettings();
+    });
+
+    editingSet.addEventListener("change", () => {
+      this.editingSet = editingSet.value;
+      this.reloadSettings();
+    });
+
+    settingSetName.addEventListener("input", () => {
+      this.showError(
+        "settingSetError",
+        this.validateSettingSetName(settingSetName.value.trim(), false)
+      );
+    });
+
+    addSettingSet.addEventListener("click", () => {
+      const name = settingSetName.value.trim();
+      const error = this.validateSettingSetName(name, true);
+      this.showError("settingSetError", error);
+      if (error) return;
+
+      // Start from the values of the set being edited
+      const sets = this.settings.settingSets;
+      sets.push({
+        id: Date.now().toString(36),
+        name,
+        color: SETTING_SET_COLORS[sets.length % SETTING_SET_COLORS.length],
+        settings: { ...this.settings, settingSets: [] },
+      });
+      settingSetName.value = "";
+      this.saveSettings();
+      this.updateSettingSetsUI();
+    });
+
+    settingSetName.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        addSettingSet.click();
+      }
+    });
+  }
+
+  validateSettingSetName(name, required) {
+    if (!name) return required ? "Enter a name" : null;
+    if (name.toLowerCase() === "default") return "That name is taken";
+    return this.settings.settingSets.some(
+      (set) => set.name.toLowerCase() === name.toLowerCase()
+    )
+      ? "That name is taken"
+      : null;
+  }
+
+  setupGeneralControls() {
+    const enabled = document.getElementById("enabled");
+    enabled.addEventListener("change", () => {
+      this.settings.enabled = enabled.checked;
+      this.saveSettings();
+    });
+
+    document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+      radio.addEventListener("change", () => {
+        if (!radio.checked) return;
+        this.settings.mode = radio.value;
+        this.saveSettings();
+      });
+    });
+
+    const blurIntensity = document.getElementById("blurIntensity");
+    blurIntensity.addEventListener("input", () => {
+      this.settings.blurIntensity = parseInt(blurIntensity.value);
+      document.getElementById("blurValue").textContent =
+        this.settings.blurIntensity;
+    });
+    // Save once the slider is released, not on every step
+    blurIntensity.addEventListener("change", () => this.saveSettings());
+
+    const obfuscation = document.getElementById("obfuscation");
+    fillSelect(obfuscation, OBFUSCATION_LABELS);
+    obfuscation.addEventListener("change", () => {
+      this.settings.obfuscation = obfuscation.value;
+      this.saveSettings();
+    });
+
+    const customFilter = document.getElementById("customFilter");
+    customFilter.addEventListener("input", () => {
+      this.showError(
+        "customFilterError",
+        validateCssFilter(customFilter.value.trim())
+      );
+    });
+    customFilter.addEventListener("change", () => {
+      const value = customFilter.value.trim();
+      if (validateCssFilter(value)) return;
+
+      this.settings.customFilter = value;
+      this.saveSettings();
+    });
+
+    const keywordsOnly = document.getElementById("keywordsOnly");
+    keywordsOnly.addEventListener("change", () => {
+      this.settings.keywordsOnly = keywordsOnly.checked;
+      this.saveSettings();
+    });
+
+    const pauseVideos = document.getElementById("pauseVideos");
+    pauseVideos.addEventListener("change", () => {
+      this.settings.pauseVideos = pauseVideos.checked;
+      this.saveSettings();
+    });
+  }
+
+  setupListEditors() {
+    for (const [listKey, config] of Object.entries(OPTION_LISTS)) {
+      this.editors[listKey] = new ListEditor(config, (entries) => {
+        this.settings[listKey] = entries;
+        this.saveSettings();
+        this.editors[listKey].setEntries(entries);
+      });
+    }
+  }
+
+  setupProfileEditor() {
+    const profileSite = document.getElementById("profileSite");
+    const addProfile = document.getElementById("addProfile");
+
+    profileSite.addEventListener("input", () => {
+      const site = profileSite.value.trim();
+      this.showError(
+        "profileError",
+        site ? this.validateProfileSite(site) : null
+      );
+    });
+
+    addProfile.addEventListener("click", () => {
+      const site = profileSite.value.trim();
+      const error = site ? this.validateProfileSite(site) : "Enter a site";
+      this.showError("profileError", error);
+      if (error) return;
+
+      // Start from the global settings with every element type blurred
+      this.settings.siteProfiles[normalizeUrlRule(site)] = {
+        blurIntensity: this.settings.blurIntensity,
+        mediaTypes: Object.keys(MEDIA_TYPE_LABELS),
+      };
+      profileSite.value = "";
+      this.saveSettings();
+      this.updateProfilesUI();
+    });
+
+    profileSite.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        addProfile.click();
+      }
+    });
+  }
+
+  validateProfileSite(site) {
+    const error = validateUrlRule(site);
+    if (error) return error;
+    return this.settings.siteProfiles[normalizeUrlRule(site)]
+      ? `${site} already has a profile`
+      : null;
+  }
+
+  setupSelectorRuleEditor() {
+    const selectorInput = document.getElementById("selectorRuleSelector");
+    const siteInput = document.getElementById("selectorRuleSite");
+    const addSelectorRule = document.getElementById("addSelectorRule");
+
+    const validate = (requireSelector) => {
+      const selector = selectorInput.value.trim();
+      const site = siteInput.value.trim();
+      let error = selector
+        ? validateCssSelector(selector)
+        : requireSelector
+        ? "Enter a selector"
+        : null;
+      error = error || (site ? validateUrlRule(site) : null);
+      this.showError("selectorRuleError", error);
+      return error;
+    };
+
+    selectorInput.addEventListener("input", () => validate(false));
+    siteInput.addEventListener("input", () => validate(false));
+
+    addSelectorRule.addEventListener("click", () => {
+      if (validate(true)) return;
+
+      const site = siteInput.value.trim();
+      this.settings.selectorRules.push({
+        id: Date.now().toString(36),
+        action: document.getElementById("selectorRuleAction").value,
+        selector: selectorInput.value.trim(),
+        site: site ? normalizeUrlRule(site) : "",
+      });
+
+      selectorInput.value = "";
+      this.saveSettings();
+      this.updateSelectorRulesUI();
+    });
+
+    selectorInput.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        addSelectorRule.click();
+      }
+    });
+  }
+
+  setupScheduleEditor() {
+    const scheduleDays = document.getElementById("scheduleDays");
+    const scheduleSites = document.getElementById("scheduleSites");
+
+    // Weekdays are picked by default
+    DAY_NAMES.forEach((name, day) => {
+      const label = document.createElement("label");
+      label.innerHTML = `<input type="checkbox" name="scheduleDay" /> `;
+      label.append(name);
+      const input = label.querySelector("input");
+      input.value = String(day);
+      input.checked = day > 0 && day < 6;
+      scheduleDays.appendChild(label);
+    });
+
+    const parseSites = () => parseListInput(scheduleSites.value);
+
+    scheduleSites.addEventListener("input", () => {
+      this.showError("scheduleError", parseSites().errors.join("; ") || null);
+    });
+
+    document.getElementById("addSchedule").addEventListener("click", () => {
+      const days = Array.from(
+        document.querySelectorAll('input[name="scheduleDay"]:checked')
+      ).map((input) => parseInt(input.value));
+      const { entries: sites, errors } = parseSites();
+      const start = document.getElementById("scheduleStart").value;
+      const end = document.getElementById("scheduleEnd").value;
+
+      // Validate before saving so the background never sees bad rules, and
+      // never drops a schedule shown as added
+      const error =
+        errors.length > 0
+          ? errors.join("; ")
+          : days.length === 0
+          ? "Pick at least one day"
+          : validateScheduleTime(start, "start") ||
+            validateScheduleTime(end, "end");
+      this.showError("scheduleError", error);
+      if (error) return;
+
+      const scheduleName = document.getElementById("scheduleName");
+      this.settings.schedules.push({
+        id: Date.now().toString(36),
+        name: scheduleName.value.trim() || "Schedule",
+        action: document.getElementById("scheduleAction").value,
+        start,
+        end,
+        days,
+        sites,
+      });
+
+      scheduleName.value = "";
+      scheduleSites.value = "";
+      this.saveSettings();
+      this.updateSchedulesUI();
+    });
+  }
+
+  setupDetectionControls() {
+    const classifierEnabled = document.getElementById("classifierEnabled");
+    classifierEnabled.addEventListener("change", () => {
+      this.settings.classifier.enabled = classifierEnabled.checked;
+      this.saveSettings();
+    });
+
+    const classifierName = document.getElementById("classifierName");
+    fillSelect(classifierName, CLASSIFIER_LABELS);
+    classifierName.addEventListener("change", () => {
+      this.settings.classifier.name = classifierName.value;
+      this.saveSettings();
+    });
+
+    const classifierThreshold = document.getElementById("classifierThreshold");
+    classifierThreshold.addEventListener("input", () => {
+      this.settings.classifier.threshold = parseInt(classifierThreshold.value);
+      document.getElementById("classifierValue").textContent =
+        this.settings.classifier.threshold;
+    });
+    classifierThreshold.addEventListener("change", () => this.saveSettings());
+
+    const minImageSize = document.getElementById("minImageSize");
+    minImageSize.addEventListener("change", () => {
+      const minSize = parseInt(minImageSize.value);
+      this.settings.minImageSize = Math.min(
+        Math.max(isNaN(minSize) ? 30 : minSize, 0),
+        1000
+      );
+      minImageSize.value = this.settings.minImageSize;
+      this.saveSettings();
+    });
+  }
+
+  setupRememberControls() {
+    const bindings = {
+      rememberEnabled: ["enabled", "checked"],
+      rememberPerSite: ["perSite", "checked"],
+      rememberExpiry: ["expiryDays", "value"],
+      rememberMax: ["maxEntries", "value"],
+    };
+
+    for (const [id, [key, property]] of Object.entries(bindings)) {
+      const input = document.getElementById(id);
+      input.addEventListener("change", () => {
+        this.settings.rememberReveals[key] =
+          property === "checked" ? input.checked : parseInt(input.value) || 0;
+        this.saveSettings();
+      });
+    }
+
+    document.getElementById("clearRemembered").addEventListener("click", () => {
+      chrome.runtime.sendMessage({ action: "clearRememberedReveals" }, () =>
+        this.updateRememberUI()
+      );
+    });
+  }
+
+  setupImageHashControls() {
+    const hashThreshold = document.getElementById("hashThreshold");
+    hashThreshold.addEventListener("change", () => {
+      const threshold = parseInt(hashThreshold.value);
+      this.settings.hashThreshold = Math.min(
+        Math.max(isNaN(threshold) ? 6 : threshold, 0),
+        20
+      );
+      hashThreshold.value = this.settings.hashThreshold;
+      this.saveSettings();
+    });
+
+    document
+      .getElementById("clearImageHashes")
+      .addEventListener("click", () => this.removeImageHash(""));
+  }
+
+  // Known images are kept in storage.local by the background; an empty
+  // hash forgets them all
+  removeImageHash(hash) {
+    chrome.runtime.sendMessage({ action: "removeImageHash", hash }, () =>
+      this.updateImageHashesUI()
+    );
+  }
+
+  setupBackupControls() {
+    const importFile = document.getElementById("importFile");
+
+    document
+      .getElementById("exportSettings")
+      .addEventListener("click", exportSettingsFile);
+
+    importFile.addEventListener("change", () => {
+      const file = importFile.files[0];
+      importFile.value = "";
+      if (!file) return;
+
+      const merge = document.getElementById("importMode").value === "merge";
+      importSettingsFile(file, merge).then((response) => {
+        showImportResult(response);
+        if (response && response.locked) this.updateLockUI();
+      });
+    });
+  }
+
+  setupLockControls() {
+    const unlockPassword = document.getElementById("unlockPassword");
+    const unlockButton = document.getElementById("unlockButton");
+
+    unlockButton.addEventListener("click", () => {
+      sendLockMessage(
+        { action: "unlock", password: unlockPassword.value },
+        document.getElementById("unlockError"),
+        (error) => {
+          if (error) return;
+
+          // Settings may have been refused while locked, start over
+          unlockPassword.value = "";
+          this.updateLockUI();
+          this.reloadSettings();
+        }
+      );
+    });
+    unlockPassword.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        unlockButton.click();
+      }
+    });
+
+    setupLockOptionControls(() => this.updateLockUI());
+  }
+
+  showError(id, error) {
+    const element = document.getElementById(id);
+    element.textContent = error || "";
+    element.hidden = !error;
+  }
+
+  updateUI() {
+    const settings = this.settings;
+
+    this.updateSettingSetsUI();
+
+    document.getElementById("enabled").checked = settings.enabled;
+    document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+      radio.checked = radio.value === settings.mode;
+    });
+    document.getElementById("blurIntensity").value = settings.blurIntensity;
+    document.getElementById("blurValue").textContent = settings.blurIntensity;
+    document.getElementById("obfuscation").value = settings.obfuscation;
+    document.getElementById("customFilter").value = settings.customFilter;
+    document.getElementById("pauseVideos").checked = settings.pauseVideos;
+    document.getElementById("keywordsOnly").checked = settings.keywordsOnly;
+    document.getElementById("minImageSize").value = settings.minImageSize;
+    document.getElementById("hashThreshold").value = settings.hashThreshold;
+
+    const classifier = settings.classifier;
+    document.getElementById("classifierEnabled").checked = classifier.enabled;
+    document.getElementById("classifierName").value = classifier.name;
+    document.getElementById("classifierThreshold").value = classifier.threshold;
+    document.getElementById("classifierValue").textContent =
+      classifier.threshold;
+
+    const remember = settings.rememberReveals;
+    document.getElementById("rememberEnabled").checked = remember.enabled;
+    document.getElementById("rememberPerSite").checked = remember.perSite;
+    document.getElementById("rememberExpiry").value = remember.expiryDays;
+    document.getElementById("rememberMax").value = remember.maxEntries;
+
+    for (const [listKey, editor] of Object.entries(this.editors)) {
+      editor.setEntries(settings[listKey]);
+    }
+
+    this.updateProfilesUI();
+    this.updateSelectorRulesUI();
+    this.updateSchedulesUI();
+    this.updateRememberUI();
+    this.updateImageHashesUI();
+  }
+
+  updateSettingSetsUI() {
+    const labels = getSettingSetLabels(this.settings);
+    const selects = {
+      activeSettingSet: [labels, this.settings.activeSettingSet],
+      incognitoSettingSet: [
+        { ...labels, "": "The same set as other tabs" },
+        this.settings.incognitoSettingSet,
+      ],
+      editingSet: [labels, this.editingSet],
+    };
+    for (const [id, [options, value]] of Object.entries(selects)) {
+      const select = document.getElementById(id);
+      fillSelect(select, options);
+      select.value = value;
+    }
+
+    const settingSetRows = document.getElementById("settingSetRows");
+    settingSetRows.innerHTML = "";
+
+    for (const set of this.settings.settingSets) {
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td><input type="text" /></td>
+        <td><input type="color" /></td>
+        <td><button class="remove-entry">Remove</button></td>
+      `;
+
+      const name = row.querySelector('input[type="text"]');
+      name.value = set.name;
+      name.addEventListener("change", () => {
+        const value = name.value.trim();
+        const taken =
+          value.toLowerCase() !== set.name.toLowerCase() &&
+          this.validateSettingSetName(value, true);
+        this.showError("settingSetError", taken || null);
+        if (taken) {
+          name.value = set.name;
+          return;
+        }
+        set.name = value;
+        this.saveSettings();
+        this.updateSettingSetsUI();
+      });
+
+      const color = row.querySelector('input[type="color"]');
+      color.value = set.color;
+      color.addEventListener("change", () => {
+        set.color = color.value;
+        this.saveSettings();
+      });
+
+      row.querySelector(".remove-entry").addEventListener("click", () => {
+        this.settings.settingSets = this.settings.settingSets.filter(
+          (other) => other.id !== set.id
+        );
+        // The background moves tabs using it back to the default set
+        if (this.editingSet === set.id) {
+          this.editingSet = "";
+        }
+        this.saveSettings();
+        this.updateSettingSetsUI();
+      });
+
+      settingSetRows.appendChild(row);
+    }
+
+    this.showEmptyRow(settingSetRows, 3, "Only the default set");
+  }
+
+  updateProfilesUI() {
+    const profileRows = document.getElementById("profileRows");
+    profileRows.innerHTML = "";
+
+    const sites = Object.keys(this.settings.siteProfiles).sort();
+    for (const site of sites) {
+      const profile = this.settings.siteProfiles[site];
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td class="mono"></td>
+        <td><input type="number" min="5" max="50" placeholder="Default" /></td>
+        <td><select></select></td>
+        <td class="media-types"></td>
+        <td><button class="remove-entry">Remove</button></td>
+      `;
+      row.querySelector("td").textContent = site;
+
+      const intensity = row.querySelector('input[type="number"]');
+      intensity.value = profile.blurIntensity || "";
+      intensity.addEventListener("change", () => {
+        const value = parseInt(intensity.value);
+        if (isNaN(value)) {
+          delete profile.blurIntensity;
+        } else {
+          profile.blurIntensity = Math.min(Math.max(value, 5), 50);
+          intensity.value = profile.blurIntensity;
+        }
+        this.saveSettings();
+      });
+
+      const style = row.querySelector("select");
+      fillSelect(style, OBFUSCATION_LABELS, ["", "Default"]);
+      style.value = profile.obfuscation || "";
+      style.addEventListener("change", () => {
+        if (style.value) {
+          profile.obfuscation = style.value;
+        } else {
+          delete profile.obfuscation;
+        }
+        this.saveSettings();
+      });
+
+      const mediaTypes = row.querySelector(".media-types");
+      for (const [type, label] of Object.entries(MEDIA_TYPE_LABELS)) {
+        const typeLabel = document.createElement("label");
+        typeLabel.innerHTML = `<input type="checkbox" /> `;
+        typeLabel.append(label);
+
+        const input = typeLabel.querySelector("input");
+        input.value = type;
+        input.checked =
+          !profile.mediaTypes || profile.mediaTypes.includes(type);
+        input.addEventListener("change", () => {
+          profile.mediaTypes = Array.from(
+            mediaTypes.querySelectorAll("input:checked")
+          ).map((typeInput) => typeInput.value);
+          this.saveSettings();
+        });
+        mediaTypes.appendChild(typeLabel);
+      }
+
+      row.querySelector(".remove-entry").addEventListener("click", () => {
+        delete this.settings.siteProfiles[site];
+        this.saveSettings();
+        this.updateProfilesUI();
+      });
+
+      profileRows.appendChild(row);
+    }
+
+    this.showEmptyRow(profileRows, 5, "No site profiles");
+  }
+
+  updateSelectorRulesUI() {
+    const selectorRuleRows = document.getElementById("selectorRuleRows");
+    selectorRuleRows.innerHTML = "";
+
+    for (const rule of this.settings.selectorRules) {
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td></td>
+        <td class="mono"></td>
+        <td class="mono"></td>
+        <td><button class="remove-entry">Remove</button></td>
+      `;
+
+      const cells = row.querySelectorAll("td");
+      cells[0].textContent =
+        rule.action === "blur" ? "Always blur" : "Never blur";
+      cells[1].textContent = rule.selector;
+      cells[2].textContent = rule.site || "All sites";
+
+      row.querySelector(".remove-entry").addEventListener("click", () => {
+        this.settings.selectorRules = this.settings.selectorRules.filter(
+          (other) => other.id !== rule.id
+        );
+        this.saveSettings();
+        this.updateSelectorRulesUI();
+      });
+
+      selectorRuleRows.appendChild(row);
+    }
+
+    this.showEmptyRow(selectorRuleRows, 4, "No element rules");
+  }
+
+  updateSchedulesUI() {
+    const scheduleRows = document.getElementById("scheduleRows");
+    scheduleRows.innerHTML = "";
+
+    for (const schedule of this.settings.schedules) {
+      const row = document.createElement("tr");
+      row.innerHTML = `
+        <td></td>
+        <td></td>
+        <td></td>
+        <td></td>
+        <td class="mono"></td>
+        <td><button class="remove-entry">Remove</button></td>
+      `;
+
+      const cells = row.querySelectorAll("td");
+      cells[0].textContent = schedule.name;
+      cells[1].textContent = schedule.action === "on" ? "On" : "Off";
+      cells[2].textContent = `${schedule.start}-${schedule.end}`;
+      cells[3].textContent = schedule.days
+        .map((day) => DAY_NAMES[day])
+        .join(" ");
+      cells[4].textContent = schedule.sites.length
+        ? schedule.sites.join(", ")
+        : "All sites";
+
+      row.querySelector(".remove-entry").addEventListener("click", () => {
+        this.settings.schedules = this.settings.schedules.filter(
+          (other) => other.id !== schedule.id
+        );
+        this.saveSettings();
+        this.updateSchedulesUI();
+      });
+
+      scheduleRows.appendChild(row);
+    }
+
+    this.showEmptyRow(scheduleRows, 6, "No schedules");
+  }
+
+  showEmptyRow(tbody, columns, text) {
+    if (tbody.children.length > 0) return;
+
+    const row = document.createElement("tr");
+    row.className = "empty-row";
+    row.innerHTML = `<td colspan="${columns}"></td>`;
+    row.querySelector("td").textContent = text;
+    tbody.appendChild(row);
+  }
+
+  updateRememberUI() {
+    chrome.storage.local.get(["revealedImages"], (result) => {
+      const count = Object.keys(result.revealedImages || {}).length;
+      document.getElementById("rememberedCount").textContent =
+        `${count} remembered`;
+    });
+  }
+
+  updateImageHashesUI() {
+    chrome.storage.local.get(["imageHashes"], (result) => {
+      const imageHashRows = document.getElementById("imageHashRows");
+      imageHashRows.innerHTML = "";
+
+      // Newest first
+      for (const entry of (result.imageHashes || []).slice().reverse()) {
+        const row = document.createElement("tr");
+        row.innerHTML = `
+          <td></td>
+          <td class="mono"></td>
+          <td class="mono"></td>
+          <td></td>
+          <td><button class="remove-entry">Remove</button></td>
+        `;
+
+        const cells = row.querySelectorAll("td");
+        cells[0].textContent =
+          entry.action === "blur" ? "Always blur" : "Always show";
+        cells[1].textContent = entry.hash;
+        cells[2].textContent = entry.url || "";
+        cells[3].textContent = entry.addedAt
+          ? new Date(entry.addedAt).toLocaleDateString()
+          : "";
+
+        row
+          .querySelector(".remove-entry")
+          .addEventListener("click", () => this.removeImageHash(entry.hash));
+
+        imageHashRows.appendChild(row);
+      }
+
+      this.showEmptyRow(imageHashRows, 5, "No known images");
+    });
+  }
+
+  updateLockUI() {
+    chrome.runtime.sendMessage({ action: "getLockState" }, (state) => {
+      if (!state) return;
+
+      document.getElementById("lockBanner").hidden = !state.locked;
+      document.getElementById("settingsForm").disabled = state.locked;
+      updateLockOptionsUI(state);
+    });
+  }
+
+  updateStorageUI(saveResponse = null) {
+    showStorageStatus(document.getElementById("storageBanner"), saveResponse);
+  }
+
+  saveSettings() {
+    const saveStatus = document.getElementById("saveStatus");
+    this.pendingSaves++;
+
+    sendSettings(this.settings).then((response) => {
+      this.pendingSaves--;
+
+      // The unlocked period can run out while the page is open
+      if (response.locked) {
+        saveStatus.textContent = "";
+        this.updateLockUI();
+        this.reloadSettings();
+        return;
+      }
+
+      // Editing moved to another set, e.g. the edited one was removed
+      if (this.settings.settingSet !== this.editingSet) {
+        this.reloadSettings();
+      }
+
+      saveStatus.textContent = response.success ? "Saved" : "";
+      clearTimeout(this.saveStatusTimer);
+      this.saveStatusTimer = setTimeout(() => {
+        saveStatus.textContent = "";
+      }, 1500);
+      this.updateStorageUI(response);
+    });
+  }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  new OptionsManager();
+});
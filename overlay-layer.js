@@ -0,0 +1,218 @@
+// Extension-owned overlay layer. Each document gets one host element at
+// the end of <html> with a closed shadow root, holding a box over every
+// blurred element. The page's own elements are never wrapped, moved or
+// restyled: boxes follow them with a ResizeObserver, an IntersectionObserver
+// and scroll/resize events instead.
+//
+// A box holds permanent contents (e.g. the cover label) and a controls
+// container that is shown while the element or the controls are hovered.
+
+// Above anything the page stacks, short of the top layer
+const OVERLAY_LAYER_Z_INDEX = 2147483647;
+
+class OverlayLayer {
+  constructor(doc) {
+    this.doc = doc;
+    this.view = doc.defaultView || window;
+    // Element -> { box, controls, showControls, hideControls }
+    this.entries = new Map();
+    this.visibleElements = new Set();
+    // Element whose controls are showing, for the context menu
+    this.activeElement = null;
+    this.frameRequested = false;
+
+    this.host = doc.createElement("div");
+    this.host.style.cssText = `
+      all: initial !important;
+      position: fixed !important;
+      top: 0 !important;
+      left: 0 !important;
+      width: 100% !important;
+      height: 100% !important;
+      overflow: hidden !important;
+      pointer-events: none !important;
+      z-index: ${OVERLAY_LAYER_Z_INDEX} !important;
+    `;
+    this.root = this.host.attachShadow({ mode: "closed" });
+
+    this.resizeObserver = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        this.position(entry.target);
+      }
+    });
+    this.intersectionObserver = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          this.setVisible(entry.target, entry.isIntersecting);
+        }
+      },
+      { rootMargin: "50px" }
+    );
+
+    // Scrolling any container moves the elements under the boxes
+    this.scheduleRefresh = () => this.refresh();
+    doc.addEventListener("scroll", this.scheduleRefresh, {
+      capture: true,
+      passive: true,
+    });
+    this.view.addEventListener("resize", this.scheduleRefresh, {
+      passive: true,
+    });
+  }
+
+  // Box over an element, with its (initially hidden) controls container
+  add(element) {
+    if (this.entries.has(element)) return this.entries.get(element);
+
+    // Pages that rewrite <html> take the host with them
+    if (!this.host.isConnected) {
+      this.doc.documentElement.appendChild(this.host);
+    }
+
+    const box = this.doc.createElement("div");
+    box.style.cssText = `
+      position: absolute !important;
+      display: none !important;
+      pointer-events: none !important;
+      line-height: normal !important;
+    `;
+
+    const controls = this.doc.createElement("div");
+    controls.style.cssText = `
+      position: absolute !important;
+      top: 0 !important;
+      left: 0 !important;
+      right: 0 !important;
+      bottom: 0 !important;
+      pointer-events: none !important;
+      opacity: 0 !important;
+      transition: opacity 0.2s ease !important;
+      display: flex !important;
+      align-items: center !important;
+      justify-content: center !important;
+    `;
+    box.appendChild(controls);
+    this.root.appendChild(box);
+
+    // Moving from the element onto its controls (or back) keeps them shown
+    const showControls = () => this.showControls(element);
+    const hideControls = (e) => {
+      const next = e.relatedTarget;
+      if (next === this.host || (next && element.contains(next))) return;
+      this.hideControls(element);
+    };
+
+    element.addEventListener("mouseenter", showControls, { passive: true });
+    element.addEventListener("mouseleave", hideControls, { passive: true });
+    controls.addEventListener("mouseenter", showControls, { passive: true });
+    controls.addEventListener("mouseleave", hideControls, { passive: true });
+
+    const entry = { box, controls, showControls, hideControls };
+    this.entries.set(element, entry);
+    this.resizeObserver.observe(element);
+    this.intersectionObserver.observe(element);
+    return entry;
+  }
+
+  remove(element) {
+    const entry = this.entries.get(element);
+    if (!entry) return;
+
+    const { box, controls, showControls, hideControls } = entry;
+    element.removeEventListener("mouseenter", showControls);
+    element.removeEventListener("mouseleave", hideControls);
+    controls.removeEventListener("mouseenter", showControls);
+    controls.removeEventListener("mouseleave", hideControls);
+
+    this.resizeObserver.unobserve(element);
+    this.intersectionObserver.unobserve(element);
+    box.remove();
+
+    this.entries.delete(element);
+    this.visibleElements.delete(element);
+    if (this.activeElement === element) this.activeElement = null;
+  }
+
+  // One element's controls at a time, even where boxes overlap
+  showControls(element) {
+    if (this.activeElement && this.activeElement !== element) {
+      this.hideControls(this.activeElement);
+    }
+
+    const entry = this.entries.get(element);
+    if (!entry) return;
+
+    this.position(element);
+    entry.controls.style.setProperty("opacity", "1", "important");
+    this.activeElement = element;
+  }
+
+  hideControls(element) {
+    const entry = this.entries.get(element);
+    if (entry) {
+      entry.controls.style.setProperty("opacity", "0", "important");
+    }
+    if (this.activeElement === element) this.activeElement = null;
+  }
+
+  // Boxes are only shown, and kept in place, near the viewport
+  setVisible(element, visible) {
+    const entry = this.entries.get(element);
+    if (!entry) return;
+
+    if (visible) {
+      this.visibleElements.add(element);
+      this.position(element);
+    } else {
+      this.visibleElements.delete(element);
+      entry.box.style.setProperty("display", "none", "important");
+    }
+  }
+
+  position(element) {
+    const entry = this.entries.get(element);
+    if (!entry || !this.visibleElements.has(element)) return;
+
+    const { box } = entry;
+    const rect = element.getBoundingClientRect();
+    if (!element.isConnected || rect.width === 0 || rect.height === 0) {
+      box.style.setProperty("display", "none", "important");
+      return;
+    }
+
+    // Relative to the host, in case a transformed <html> moved it
+    const origin = this.host.getBoundingClientRect();
+    box.style.setProperty("left", `${rect.left - origin.left}px`, "important");
+    box.style.setProperty("top", `${rect.top - origin.top}px`, "important");
+    box.style.setProperty("width", `${rect.width}px`, "important");
+    box.style.setProperty("height", `${rect.height}px`, "important");
+    box.style.setProperty("display", "block", "important");
+  }
+
+  // Re-measure visible boxes on the next frame, e.g. after scrolling or a
+  // layout change the observers can't see
+  refresh() {
+    if (this.frameRequested || this.visibleElements.size === 0) return;
+
+    this.frameRequested = true;
+    this.view.requestAnimationFrame(() => {
+      this.frameRequested = false;
+      for (const element of this.visibleElements) {
+        this.position(element);
+      }
+    });
+  }
+
+  destroy() {
+    for (const element of Array.from(this.entries.keys())) {
+      this.remove(element);
+    }
+    this.resizeObserver.disconnect();
+    this.intersectionObserver.disconnect();
+    this.doc.removeEventListener("scroll", this.scheduleRefresh, {
+      capture: true,
+    });
+    this.view.removeEventListener("resize", this.scheduleRefresh);
+    this.host.remove();
+  }
+}
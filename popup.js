@@ -1,29 +1,50 @@
 // Popup script for managing extension settings
+
+// Rows of the statistics table, keyed by the counts the background keeps
+const STATS_ROWS = {
+  images: "Images",
+  backgrounds: "Backgrounds",
+  videos: "Videos",
+  canvas: "Canvas",
+  revealed: "Revealed",
+};
+
+// Names of the domain lists, keyed by mode
+const MODE_LIST_LABELS = {
+  whitelist: "Whitelist",
+  blocklist: "Blocklist",
+};
+
 class PopupManager {
   constructor() {
     this.settings = null;
     this.currentDomain = null;
+    this.currentUrl = null;
+    this.currentTabId = null;
+    this.incognito = false;
     this.init();
   }
 
   async init() {
-    await this.loadSettings();
     await this.getCurrentDomain();
+    await this.loadSettings();
+
+    // Nothing to show, and nothing to save over, until settings can be read
+    if (!this.settings) {
+      const storageStatus = document.getElementById("storageStatus");
+      storageStatus.textContent = SETTINGS_UNAVAILABLE_MESSAGE;
+      storageStatus.hidden = false;
+      return;
+    }
+
     this.setupEventListeners();
     this.updateUI();
   }
 
   async loadSettings() {
-    return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: "getSettings" }, (response) => {
-        this.settings = response || {
-          enabled: true,
-          whitelist: [],
-          blurIntensity: 10,
-        };
-        resolve();
-      });
-    });
+    // Already normalized by the background, defaults included, with the
+    // values of the setting set this tab uses
+    this.settings = await fetchSettings({ incognito: this.incognito });
   }
 
   async getCurrentDomain() {
@@ -32,6 +53,9 @@ class PopupManager {
         if (tabs[0] && tabs[0].url) {
           try {
             this.currentDomain = new URL(tabs[0].url).hostname;
+            this.currentUrl = tabs[0].url;
+            this.currentTabId = tabs[0].id;
+            this.incognito = tabs[0].incognito;
           } catch (e) {
             this.currentDomain = null;
           }
@@ -50,6 +74,9 @@ class PopupManager {
       this.saveSettings();
     });
 
+    // Setting set switch
+    this.setupSettingSetControls();
+
     // Blur intensity slider
     const blurIntensity = document.getElementById("blurIntensity");
     const blurValue = document.getElementById("blurValue");
@@ -64,136 +91,590 @@ class PopupManager {
       // Save and notify content script immediately
       this.saveSettings();
 
-      // Also notify current tab directly for immediate update
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs
-            .sendMessage(tabs[0].id, {
-              action: "updateBlurIntensity",
-              intensity: newIntensity,
-            })
-            .catch(() => {
-              // Ignore errors if content script not ready
-            });
-        }
+      // Also notify current tab directly, unless its profile overrides it
+      if (!this.getCurrentProfile()) {
+        this.sendIntensityToTab(newIntensity);
+      }
+    });
+
+    // Obfuscation style, with a free-form CSS filter for "custom"
+    const obfuscation = document.getElementById("obfuscation");
+    const customFilter = document.getElementById("customFilter");
+    const customFilterError = document.getElementById("customFilterError");
+    fillSelect(obfuscation, OBFUSCATION_LABELS);
+    obfuscation.value = this.settings.obfuscation;
+    customFilter.value = this.settings.customFilter;
+    this.updateCustomFilterUI();
+
+    obfuscation.addEventListener("change", () => {
+      this.settings.obfuscation = obfuscation.value;
+      this.saveSettings();
+      this.updateCustomFilterUI();
+    });
+
+    customFilter.addEventListener("change", () => {
+      const value = customFilter.value.trim();
+      const error = validateCssFilter(value);
+      customFilterError.textContent = error || "";
+      customFilterError.hidden = !error;
+      if (error) return;
+
+      this.settings.customFilter = value;
+      this.saveSettings();
+    });
+
+    // Pause blurred videos toggle
+    const pauseVideos = document.getElementById("pauseVideos");
+    pauseVideos.checked = this.settings.pauseVideos !== false;
+    pauseVideos.addEventListener("change", () => {
+      this.settings.pauseVideos = pauseVideos.checked;
+      this.saveSettings();
+    });
+
+    // Whitelist / blocklist mode switch
+    document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+      radio.checked = radio.value === this.getMode();
+      radio.addEventListener("change", () => {
+        if (!radio.checked) return;
+        this.settings.mode = radio.value;
+        this.saveSettings();
+        this.updateCurrentSiteUI();
       });
     });
 
-    // Current site whitelist toggle
+    // Per-site profile for the current site
+    this.setupProfileEditor();
+
+    // Current site list toggle
     const toggleWhitelist = document.getElementById("toggleWhitelist");
     if (this.currentDomain) {
-      const isWhitelisted = this.settings.whitelist.includes(
-        this.currentDomain
-      );
-      toggleWhitelist.textContent = isWhitelisted
-        ? "Remove from Whitelist"
-        : "Add to Whitelist";
-
       toggleWhitelist.addEventListener("click", () => {
-        this.toggleCurrentDomainWhitelist();
+        this.toggleCurrentDomainListing();
       });
     } else {
       toggleWhitelist.disabled = true;
       toggleWhitelist.textContent = "Invalid URL";
     }
 
-    // Add domain input
-    const domainInput = document.getElementById("domainInput");
-    const addDomain = document.getElementById("addDomain");
+    // Temporary pause buttons
+    this.setupPauseControls();
 
-    addDomain.addEventListener("click", () => {
-      const domain = domainInput.value.trim().toLowerCase();
-      if (domain && !this.settings.whitelist.includes(domain)) {
-        this.settings.whitelist.push(domain);
-        this.saveSettings();
-        domainInput.value = "";
-        this.updateWhitelistUI();
-      }
+    // Everything else (domain and image source lists, remembered images,
+    // element rules, schedules, skip heuristics) is edited on the options
+    // page
+    document.getElementById("openOptions").addEventListener("click", () => {
+      chrome.runtime.openOptionsPage();
     });
 
-    domainInput.addEventListener("keypress", (e) => {
-      if (e.key === "Enter") {
-        addDomain.click();
-      }
+    // Shortcuts are remapped on Chrome's own page
+    const editShortcuts = document.getElementById("editShortcuts");
+    editShortcuts.addEventListener("click", () => {
+      chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
     });
 
-    // Unblur all button
+    // Password lock
+    this.setupLockControls();
+
+    // Statistics reset buttons
+    this.setupStatsControls();
+
+    // Settings export / import
+    this.setupBackupControls();
+
+    // Unblur all button, which the password lock may refuse
     const unblurAll = document.getElementById("unblurAll");
     unblurAll.addEventListener("click", () => {
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        chrome.tabs.sendMessage(tabs[0].id, { action: "unblurAll" });
+        chrome.runtime.sendMessage(
+          { action: "unblurAll", tabId: tabs[0].id },
+          (response) => {
+            if (response && response.locked) this.updateLockUI();
+          }
+        );
       });
     });
   }
 
-  updateUI() {
-    // Update current domain display
-    const currentDomainSpan = document.getElementById("currentDomain");
-    currentDomainSpan.textContent = this.currentDomain || "Invalid URL";
+  // Manual switch between setting sets. Incognito tabs may have a set of
+  // their own, which the switch leaves alone.
+  setupSettingSetControls() {
+    const settingSet = document.getElementById("settingSet");
+    const settingSetStatus = document.getElementById("settingSetStatus");
+    fillSelect(settingSet, getSettingSetLabels(this.settings));
+    settingSet.value = this.settings.activeSettingSet;
 
-    // Update whitelist
-    this.updateWhitelistUI();
+    if (this.settings.settingSets.length === 0) {
+      settingSet.disabled = true;
+      settingSetStatus.textContent = "Add setting sets in All Settings";
+      settingSetStatus.hidden = false;
+    } else if (this.settings.settingSet !== this.settings.activeSettingSet) {
+      const labels = getSettingSetLabels(this.settings);
+      settingSetStatus.textContent =
+        `This incognito tab uses ${labels[this.settings.settingSet]}`;
+      settingSetStatus.hidden = false;
+    }
+
+    settingSet.addEventListener("change", () => {
+      const previous = this.settings.activeSettingSet;
+      this.settings.activeSettingSet = settingSet.value;
+      sendSettings(this.settings).then((response) => {
+        if (!response.success) {
+          this.settings.activeSettingSet = previous;
+          settingSet.value = previous;
+          if (response.locked) this.updateLockUI();
+          return;
+        }
+        // Every control shows the values of the set now in use
+        window.location.reload();
+      });
+    });
   }
 
-  updateWhitelistUI() {
-    const whitelistItems = document.getElementById("whitelistItems");
-    whitelistItems.innerHTML = "";
+  setupStatsControls() {
+    const resetSiteStats = document.getElementById("resetSiteStats");
+    const resetAllStats = document.getElementById("resetAllStats");
+
+    if (this.currentDomain) {
+      resetSiteStats.addEventListener("click", () => {
+        chrome.runtime.sendMessage(
+          { action: "resetStats", site: this.currentDomain },
+          () => this.updateStatsUI()
+        );
+      });
+    } else {
+      resetSiteStats.disabled = true;
+    }
+
+    resetAllStats.addEventListener("click", () => {
+      chrome.runtime.sendMessage({ action: "resetStats" }, () =>
+        this.updateStatsUI()
+      );
+    });
+  }
+
+  updateStatsUI() {
+    const statsRows = document.getElementById("statsRows");
+
+    chrome.runtime.sendMessage(
+      { action: "getStats", tabId: this.currentTabId, site: this.currentDomain },
+      (stats) => {
+        if (!stats) return;
+
+        statsRows.innerHTML = "";
+        for (const [key, label] of Object.entries(STATS_ROWS)) {
+          const row = document.createElement("tr");
+          for (const value of [
+            label,
+            stats.tab[key],
+            stats.site[key],
+            stats.total[key],
+          ]) {
+            const cell = document.createElement("td");
+            cell.textContent =
+              typeof value === "number" ? value.toLocaleString() : value;
+            row.appendChild(cell);
+          }
+          statsRows.appendChild(row);
+        }
+      }
+    );
+  }
+
+  setupBackupControls() {
+    const importFile = document.getElementById("importFile");
+
+    document
+      .getElementById("exportSettings")
+      .addEventListener("click", exportSettingsFile);
+
+    document.getElementById("importSettings").addEventListener("click", () => {
+      importFile.click();
+    });
+
+    importFile.addEventListener("change", () => {
+      const file = importFile.files[0];
+      importFile.value = "";
+      if (!file) return;
 
-    this.settings.whitelist.forEach((domain) => {
-      const li = document.createElement("li");
-      li.className = "whitelist-item";
-      li.innerHTML = `
-        <span>${domain}</span>
-        <button class="remove-domain" data-domain="${domain}">Remove</button>
-      `;
+      const mode = document.querySelector(
+        'input[name="importMode"]:checked'
+      ).value;
+      importSettingsFile(file, mode === "merge").then((response) => {
+        if (!showImportResult(response)) return;
 
-      const removeBtn = li.querySelector(".remove-domain");
-      removeBtn.addEventListener("click", () => {
-        this.removeDomain(domain);
+        // Reload so every control shows the imported values
+        setTimeout(() => window.location.reload(), 800);
       });
+    });
+  }
+
+  setupLockControls() {
+    const unlockPassword = document.getElementById("unlockPassword");
+    const unlockButton = document.getElementById("unlockButton");
 
-      whitelistItems.appendChild(li);
+    unlockButton.addEventListener("click", () => {
+      sendLockMessage(
+        { action: "unlock", password: unlockPassword.value },
+        document.getElementById("lockError"),
+        (error) => {
+          // Settings may have been refused while locked, start over
+          if (!error) window.location.reload();
+        }
+      );
+    });
+    unlockPassword.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") {
+        unlockButton.click();
+      }
     });
 
-    // Update current site button
-    if (this.currentDomain) {
-      const toggleWhitelist = document.getElementById("toggleWhitelist");
-      const isWhitelisted = this.settings.whitelist.includes(
-        this.currentDomain
+    setupLockOptionControls(() => this.updateLockUI());
+  }
+
+  updateStorageUI(saveResponse = null) {
+    showStorageStatus(document.getElementById("storageStatus"), saveResponse);
+  }
+
+  updateLockUI() {
+    chrome.runtime.sendMessage({ action: "getLockState" }, (state) => {
+      if (!state) return;
+
+      const lockStatus = document.getElementById("lockStatus");
+      lockStatus.hidden = !state.enabled;
+      lockStatus.textContent = state.locked
+        ? "Locked: enter the password to change settings"
+        : `Unlocked until ${new Date(state.unlockedUntil).toLocaleTimeString(
+            [],
+            { hour: "2-digit", minute: "2-digit" }
+          )}`;
+
+      document.getElementById("unlockForm").hidden = !state.locked;
+      updateLockOptionsUI(state);
+
+      this.setControlsLocked(state.locked);
+    });
+  }
+
+  // Disable everything outside the lock section while locked, restoring
+  // only the controls disabled here
+  setControlsLocked(locked) {
+    document
+      .querySelectorAll(".container input, .container select, .container button")
+      .forEach((control) => {
+        if (control.closest("#lockSection") || control.id === "openOptions") {
+          return;
+        }
+
+        if (locked && !control.disabled) {
+          control.disabled = true;
+          control.dataset.lockDisabled = "true";
+        } else if (!locked && control.dataset.lockDisabled) {
+          control.disabled = false;
+          delete control.dataset.lockDisabled;
+        }
+      });
+  }
+
+  // The filter input is only needed when some style uses it
+  updateCustomFilterUI() {
+    const profile = this.getCurrentProfile();
+    document.getElementById("customFilterOptions").hidden =
+      this.settings.obfuscation !== "custom" &&
+      !(profile && profile.obfuscation === "custom");
+  }
+
+  // Notify current tab directly for immediate intensity updates
+  sendIntensityToTab(intensity) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]) {
+        chrome.tabs
+          .sendMessage(tabs[0].id, {
+            action: "updateBlurIntensity",
+            intensity,
+          })
+          .catch(() => {
+            // Ignore errors if content script not ready
+          });
+      }
+    });
+  }
+
+  getProfiles() {
+    if (!this.settings.siteProfiles) {
+      this.settings.siteProfiles = {};
+    }
+    return this.settings.siteProfiles;
+  }
+
+  // Profile applying to the current page, including one set on a parent
+  // domain, a path or a wildcard rule
+  getCurrentProfile() {
+    if (!this.currentUrl) return null;
+
+    const profiles = this.getProfiles();
+    const rule = findMatchingRule(Object.keys(profiles), this.currentUrl);
+    return rule && !rule.negated ? profiles[rule.text] : null;
+  }
+
+  setupProfileEditor() {
+    const profileToggle = document.getElementById("profileToggle");
+    const profileIntensity = document.getElementById("profileIntensity");
+    const profileValue = document.getElementById("profileValue");
+    const profileObfuscation = document.getElementById("profileObfuscation");
+    const mediaTypeInputs = document.querySelectorAll(
+      'input[name="profileMediaType"]'
+    );
+    fillSelect(profileObfuscation, OBFUSCATION_LABELS, [
+      "",
+      "Same as global",
+    ]);
+
+    if (!this.currentDomain) {
+      profileToggle.disabled = true;
+      return;
+    }
+
+    profileToggle.addEventListener("change", () => {
+      const profiles = this.getProfiles();
+      if (profileToggle.checked) {
+        // Start from the global settings with every element type blurred
+        profiles[this.currentDomain] = {
+          blurIntensity: this.settings.blurIntensity,
+          mediaTypes: Array.from(mediaTypeInputs).map((input) => input.value),
+        };
+      } else {
+        delete profiles[this.currentDomain];
+      }
+
+      this.saveSettings();
+      this.updateProfileUI();
+      this.updateCustomFilterUI();
+    });
+
+    profileIntensity.addEventListener("input", () => {
+      const profile = this.getProfiles()[this.currentDomain];
+      if (!profile) return;
+
+      const newIntensity = parseInt(profileIntensity.value);
+      profile.blurIntensity = newIntensity;
+      profileValue.textContent = newIntensity;
+
+      this.saveSettings();
+      this.sendIntensityToTab(newIntensity);
+    });
+
+    profileObfuscation.addEventListener("change", () => {
+      const profile = this.getProfiles()[this.currentDomain];
+      if (!profile) return;
+
+      if (profileObfuscation.value) {
+        profile.obfuscation = profileObfuscation.value;
+      } else {
+        delete profile.obfuscation;
+      }
+      this.saveSettings();
+      this.updateCustomFilterUI();
+    });
+
+    mediaTypeInputs.forEach((input) => {
+      input.addEventListener("change", () => {
+        const profile = this.getProfiles()[this.currentDomain];
+        if (!profile) return;
+
+        profile.mediaTypes = Array.from(mediaTypeInputs)
+          .filter((typeInput) => typeInput.checked)
+          .map((typeInput) => typeInput.value);
+        this.saveSettings();
+      });
+    });
+  }
+
+  updateProfileUI() {
+    const profile = this.currentDomain
+      ? this.getProfiles()[this.currentDomain]
+      : null;
+
+    document.getElementById("profileToggle").checked = !!profile;
+    document.getElementById("profileOptions").hidden = !profile;
+    if (!profile) return;
+
+    const intensity = profile.blurIntensity || this.settings.blurIntensity;
+    document.getElementById("profileIntensity").value = intensity;
+    document.getElementById("profileValue").textContent = intensity;
+    document.getElementById("profileObfuscation").value =
+      profile.obfuscation || "";
+
+    document
+      .querySelectorAll('input[name="profileMediaType"]')
+      .forEach((input) => {
+        input.checked =
+          !profile.mediaTypes || profile.mediaTypes.includes(input.value);
+      });
+  }
+
+  setupPauseControls() {
+    const pauseButtons = document.querySelectorAll("[data-pause-scope]");
+    const resumeBlurring = document.getElementById("resumeBlurring");
+
+    pauseButtons.forEach((button) => {
+      // Site and tab pauses need a real page to apply to
+      if (!this.currentDomain && button.dataset.pauseScope !== "global") {
+        button.disabled = true;
+        return;
+      }
+
+      button.addEventListener("click", () => {
+        chrome.runtime.sendMessage(
+          {
+            action: "pause",
+            scope: button.dataset.pauseScope,
+            minutes: parseInt(button.dataset.pauseMinutes) || null,
+            url: this.currentUrl,
+            tabId: this.currentTabId,
+          },
+          () => this.updatePauseUI()
+        );
+      });
+    });
+
+    resumeBlurring.addEventListener("click", () => {
+      chrome.runtime.sendMessage(
+        {
+          action: "resume",
+          url: this.currentUrl,
+          tabId: this.currentTabId,
+        },
+        () => this.updatePauseUI()
       );
-      toggleWhitelist.textContent = isWhitelisted
-        ? "Remove from Whitelist"
-        : "Add to Whitelist";
+    });
+  }
+
+  // Pauses are kept by the background, so ask it for the current page
+  updatePauseUI() {
+    const pauseStatus = document.getElementById("pauseStatus");
+    const resumeBlurring = document.getElementById("resumeBlurring");
+
+    chrome.runtime.sendMessage(
+      {
+        action: "getSiteSettings",
+        url: this.currentUrl || "about:blank",
+        tabId: this.currentTabId,
+      },
+      (response) => {
+        const paused = response && response.paused;
+        pauseStatus.hidden = !paused;
+        resumeBlurring.hidden = !paused;
+        if (!paused) return;
+
+        const scopeLabel = {
+          tab: "in this tab until it closes",
+          site: "on this site",
+          global: "everywhere",
+        }[paused.scope];
+        const until = paused.until
+          ? ` until ${new Date(paused.until).toLocaleTimeString([], {
+              hour: "2-digit",
+              minute: "2-digit",
+            })}`
+          : "";
+        pauseStatus.textContent = `Paused ${scopeLabel}${until}`;
+      }
+    );
+  }
+
+  updateShortcutsUI() {
+    const shortcutItems = document.getElementById("shortcutItems");
+
+    chrome.commands.getAll((commands) => {
+      shortcutItems.innerHTML = "";
+
+      commands
+        .filter((command) => command.description)
+        .forEach((command) => {
+          const li = document.createElement("li");
+          li.className = "shortcut-item";
+          li.innerHTML = `<span></span><kbd></kbd>`;
+          li.querySelector("span").textContent = command.description;
+          li.querySelector("kbd").textContent = command.shortcut || "Not set";
+          shortcutItems.appendChild(li);
+        });
+    });
+  }
+
+  getMode() {
+    return this.settings.mode === "blocklist" ? "blocklist" : "whitelist";
+  }
+
+  getList(listKey) {
+    if (!Array.isArray(this.settings[listKey])) {
+      this.settings[listKey] = [];
     }
+    return this.settings[listKey];
+  }
+
+  updateUI() {
+    // Update current domain display
+    const currentDomainSpan = document.getElementById("currentDomain");
+    currentDomainSpan.textContent = this.currentDomain || "Invalid URL";
+
+    // Update site profile editor
+    this.updateProfileUI();
+
+    // Update the current site's list button
+    this.updateCurrentSiteUI();
+
+    // Update pause status
+    this.updatePauseUI();
+
+    // Update keyboard shortcuts
+    this.updateShortcutsUI();
+
+    // Update password lock
+    this.updateLockUI();
+
+    // Update storage quota warning
+    this.updateStorageUI();
+
+    // Update statistics
+    this.updateStatsUI();
   }
 
-  toggleCurrentDomainWhitelist() {
+  updateCurrentSiteUI() {
     if (!this.currentDomain) return;
 
-    const index = this.settings.whitelist.indexOf(this.currentDomain);
+    const mode = this.getMode();
+    const toggleWhitelist = document.getElementById("toggleWhitelist");
+    const isListed = this.getList(mode).includes(this.currentDomain);
+    const label = MODE_LIST_LABELS[mode];
+    toggleWhitelist.textContent = isListed
+      ? `Remove from ${label}`
+      : `Add to ${label}`;
+  }
+
+  // Add or remove the current site from the list of the active mode
+  toggleCurrentDomainListing() {
+    if (!this.currentDomain) return;
+
+    const list = this.getList(this.getMode());
+    const index = list.indexOf(this.currentDomain);
     if (index > -1) {
-      this.settings.whitelist.splice(index, 1);
+      list.splice(index, 1);
     } else {
-      this.settings.whitelist.push(this.currentDomain);
+      list.push(this.currentDomain);
     }
 
     this.saveSettings();
-    this.updateWhitelistUI();
-  }
-
-  removeDomain(domain) {
-    const index = this.settings.whitelist.indexOf(domain);
-    if (index > -1) {
-      this.settings.whitelist.splice(index, 1);
-      this.saveSettings();
-      this.updateWhitelistUI();
-    }
+    this.updateCurrentSiteUI();
   }
 
   saveSettings() {
-    chrome.runtime.sendMessage({
-      action: "updateSettings",
-      settings: this.settings,
+    sendSettings(this.settings).then((response) => {
+      // The unlocked period can run out while the popup is open
+      if (response.locked) {
+        this.updateLockUI();
+        return;
+      }
+      this.updateStorageUI(response);
     });
   }
 }
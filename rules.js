@@ -0,0 +1,177 @@
+// URL rule engine shared by the background (whitelist/blocklist, badge, site
+// profiles) and the popup (validation when rules are entered).
+//
+// Supported rules:
+//   example.com            the domain and all of its subdomains
+//   example.com:8080       ...only on that port
+//   *.example.*            host wildcard, "*" matches any characters
+//   github.com/our-org/*   host plus path prefix (trailing "*" optional)
+//   /^https:\/\/.+\.dev/i  regular expression tested against the full URL
+//   !ads.example.com       negation: excludes what the rest would match
+//
+// Precedence: the most specific matching rule decides. Path rules beat
+// plain hosts, plain hosts beat wildcard hosts, and those beat regexes;
+// within a tier the longer rule wins, and on a tie a negated rule wins.
+
+const RULE_TIERS = { regex: 1, wildcard: 2, host: 3, path: 4 };
+
+const parsedRuleCache = new Map();
+
+// Parse a rule into { rule } or { error }
+function parseUrlRule(text) {
+  let pattern = String(text || "").trim();
+  const negated = pattern.startsWith("!");
+  if (negated) {
+    pattern = pattern.slice(1).trim();
+  }
+  if (!pattern) {
+    return { error: "Rule is empty" };
+  }
+
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      // Stateful flags would make repeated test() calls unreliable
+      const flags = regexMatch[2].replace(/[gy]/g, "");
+      const regex = new RegExp(regexMatch[1], flags);
+      return {
+        rule: createRule(text, negated, "regex", pattern, { regex }),
+      };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  // Scheme is optional and ignored
+  pattern = pattern.replace(/^[a-z]+:\/\//i, "");
+
+  const slashIndex = pattern.indexOf("/");
+  const hostPart = slashIndex === -1 ? pattern : pattern.slice(0, slashIndex);
+  let path = slashIndex === -1 ? "" : pattern.slice(slashIndex);
+  path = path.replace(/\*+$/, "");
+  if (path.includes("*")) {
+    return { error: "Wildcards are only allowed at the end of a path" };
+  }
+
+  const hostMatch = hostPart.toLowerCase().match(/^([a-z0-9*.-]+)(?::(\d+))?$/);
+  if (!hostMatch || /^\.|\.$|\.\./.test(hostMatch[1])) {
+    return { error: `"${hostPart}" is not a valid host` };
+  }
+
+  const host = hostMatch[1];
+  const port = hostMatch[2] || null;
+  const isWildcard = host.includes("*");
+  const hostRegex = isWildcard
+    ? new RegExp(
+        "^" +
+          host
+            .split("*")
+            .map((part) => part.replace(/[.-]/g, "\\$&"))
+            .join(".*") +
+          "$"
+      )
+    : null;
+
+  const type = path && path !== "/" ? "path" : isWildcard ? "wildcard" : "host";
+  return {
+    rule: createRule(text, negated, type, pattern, {
+      host,
+      hostRegex,
+      port,
+      path,
+    }),
+  };
+}
+
+function createRule(text, negated, type, pattern, fields) {
+  return {
+    text,
+    negated,
+    type,
+    specificity: RULE_TIERS[type] * 10000 + pattern.length,
+    ...fields,
+  };
+}
+
+// Error message for an invalid rule, or null when it is valid
+function validateUrlRule(text) {
+  return parseUrlRule(text).error || null;
+}
+
+// Canonical form for storing: trimmed, host lowercased, regexes untouched
+function normalizeUrlRule(text) {
+  const trimmed = String(text || "").trim();
+  const prefix = trimmed.startsWith("!") ? "!" : "";
+  const body = trimmed.slice(prefix.length).trim();
+  if (/^\/.+\/[a-z]*$/.test(body)) {
+    return prefix + body;
+  }
+
+  const withoutScheme = body.replace(/^[a-z]+:\/\//i, "");
+  const slashIndex = withoutScheme.indexOf("/");
+  if (slashIndex === -1) {
+    return prefix + withoutScheme.toLowerCase();
+  }
+  return (
+    prefix +
+    withoutScheme.slice(0, slashIndex).toLowerCase() +
+    withoutScheme.slice(slashIndex)
+  );
+}
+
+function getParsedRule(text) {
+  if (!parsedRuleCache.has(text)) {
+    parsedRuleCache.set(text, parseUrlRule(text).rule || null);
+  }
+  return parsedRuleCache.get(text);
+}
+
+function ruleMatchesUrl(rule, url) {
+  if (rule.type === "regex") {
+    return rule.regex.test(url.href);
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  const hostMatches = rule.hostRegex
+    ? rule.hostRegex.test(hostname)
+    : hostname === rule.host || hostname.endsWith("." + rule.host);
+  if (!hostMatches) return false;
+
+  if (rule.port) {
+    const port = url.port || (url.protocol === "https:" ? "443" : "80");
+    if (port !== rule.port) return false;
+  }
+
+  return !rule.path || url.pathname.startsWith(rule.path);
+}
+
+// The rule that decides for a URL, or null when none matches
+function findMatchingRule(rules, url) {
+  let target;
+  try {
+    target = typeof url === "string" ? new URL(url) : url;
+  } catch (e) {
+    return null;
+  }
+
+  let best = null;
+  for (const text of rules || []) {
+    const rule = getParsedRule(text);
+    if (!rule || !ruleMatchesUrl(rule, target)) continue;
+
+    if (
+      !best ||
+      rule.specificity > best.specificity ||
+      (rule.specificity === best.specificity && rule.negated)
+    ) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+// Whether a list of rules includes a URL once negations are applied
+function matchesUrlRules(rules, url) {
+  const rule = findMatchingRule(rules, url);
+  return !!rule && !rule.negated;
+}
@@ -0,0 +1,274 @@
+// Settings access shared by the popup and the options page. Settings are
+// always read and written through the background, which normalizes them,
+// enforces the password lock and handles the sync quota.
+
+const OBFUSCATION_LABELS = {
+  blur: "Blur",
+  pixelate: "Pixelate",
+  grayscale: "Grayscale + blur",
+  cover: "Solid cover",
+  opacity: "Faded",
+  custom: "Custom filter",
+};
+
+const MEDIA_TYPE_LABELS = {
+  images: "Images",
+  backgrounds: "Backgrounds",
+  videos: "Videos",
+  canvas: "Canvas",
+};
+
+// Image classifiers of the background's IMAGE_CLASSIFIERS
+const CLASSIFIER_LABELS = {
+  "skin-tone": "Skin tone ratio",
+};
+
+// Settings of the setting set that applies to a tab ({ incognito }), or
+// of the set with the id given as { settingSet }. Their settingSet field
+// names the set, and sendSettings stores them back into it. Resolves with
+// null while the background can't read them (e.g. still syncing), so the
+// caller neither shows nor saves anything in their place.
+function fetchSettings(options = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { action: "getSettings", ...options },
+      (response) =>
+        resolve(response && response.success !== false ? response : null)
+    );
+  });
+}
+
+// Shown instead of the settings while fetchSettings resolves with null
+const SETTINGS_UNAVAILABLE_MESSAGE =
+  "Settings are still syncing. Reopen this page in a moment.";
+
+// Resolves with the background's response: { success, error, warning } or
+// the lock's { success: false, locked: true }
+function sendSettings(settings) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { action: "updateSettings", settings },
+      (response) =>
+        resolve(response || { success: false, error: "No response" })
+    );
+  });
+}
+
+// Download the current settings as a versioned JSON file
+function exportSettingsFile() {
+  chrome.runtime.sendMessage({ action: "exportSettings" }, (data) => {
+    if (!data || data.success === false) return;
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const date = data.exportedAt.slice(0, 10);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `image-blur-settings-${date}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  });
+}
+
+// Import a file written by exportSettingsFile, merged into the current
+// settings or replacing them. Resolves with { success, errors }.
+function importSettingsFile(file, merge) {
+  return file.text().then((text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { success: false, errors: [`Not valid JSON: ${e.message}`] };
+    }
+
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(
+        { action: "importSettings", data, merge },
+        (response) =>
+          resolve(response || { success: false, errors: ["No response"] })
+      );
+    });
+  });
+}
+
+// Show the outcome of importSettingsFile in #importStatus and
+// #importErrors. Returns whether the import succeeded.
+function showImportResult(response) {
+  const importStatus = document.getElementById("importStatus");
+  const importErrors = document.getElementById("importErrors");
+  const errors =
+    response && !response.success
+      ? response.errors || [response.error || "Import failed"]
+      : [];
+
+  importErrors.innerHTML = "";
+  for (const error of errors) {
+    const li = document.createElement("li");
+    li.textContent = error;
+    importErrors.appendChild(li);
+  }
+  importErrors.hidden = errors.length === 0;
+  importStatus.hidden = errors.length > 0;
+  importStatus.textContent = "Settings imported";
+  return errors.length === 0;
+}
+
+// Error message for a selector content scripts could not match with
+function validateCssSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return null;
+  } catch (e) {
+    return `"${selector}" is not a valid selector`;
+  }
+}
+
+// Error message for a schedule's start or end time, with the check the
+// background's isValidSchedule makes
+function validateScheduleTime(time, label) {
+  return /^\d\d:\d\d$/.test(time) ? null : `Enter a ${label} time`;
+}
+
+function validateCssFilter(filter) {
+  return !filter || CSS.supports("filter", filter)
+    ? null
+    : `"${filter}" is not a valid CSS filter`;
+}
+
+// Split pasted text into entries, one per line or comma, validating and
+// normalizing each: { entries, errors }, where errors name the bad ones.
+// Regex rules may contain commas, so lines starting with "/" or "!/" are
+// never split.
+function parseListInput(
+  text,
+  validate = validateUrlRule,
+  normalize = normalizeUrlRule
+) {
+  const entries = [];
+  const errors = [];
+
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const parts = /^!?\s*\//.test(line.trim()) ? [line] : line.split(",");
+    for (const part of parts) {
+      const entry = part.trim();
+      if (!entry) continue;
+
+      const error = validate(entry);
+      if (error) {
+        errors.push(`${entry}: ${error}`);
+      } else if (!entries.includes(normalize(entry))) {
+        entries.push(normalize(entry));
+      }
+    }
+  }
+  return { entries, errors };
+}
+
+// Setting set names by id, the default set included
+function getSettingSetLabels(settings) {
+  return {
+    "": "Default",
+    ...Object.fromEntries(
+      settings.settingSets.map((set) => [set.id, set.name])
+    ),
+  };
+}
+
+// Fill a <select> with options from a { value: label } map
+function fillSelect(select, labels, firstOption = null) {
+  select.innerHTML = "";
+  const options = Object.entries(labels);
+  if (firstOption) {
+    options.unshift(firstOption);
+  }
+
+  for (const [value, label] of options) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+// Send a lock action and show its error, if any, in errorElement. Calls
+// back with the error, or null once the action succeeded.
+function sendLockMessage(message, errorElement, callback = () => {}) {
+  chrome.runtime.sendMessage(message, (response) => {
+    const error = response && !response.success ? response.error : null;
+    errorElement.textContent = error || "";
+    errorElement.hidden = !error;
+    callback(error);
+  });
+}
+
+// Password and lock option controls, the same on both pages. Unlocking is
+// left to each page. onChange runs after every action, e.g. to refresh
+// the lock UI.
+function setupLockOptionControls(onChange) {
+  const lockError = document.getElementById("lockError");
+  const newPassword = document.getElementById("newPassword");
+  const lockReveals = document.getElementById("lockReveals");
+  const lockTimeout = document.getElementById("lockTimeout");
+
+  const send = (message, onSuccess = () => {}) =>
+    sendLockMessage(message, lockError, (error) => {
+      if (!error) onSuccess();
+      onChange();
+    });
+
+  document.getElementById("setPassword").addEventListener("click", () => {
+    send({ action: "setPassword", password: newPassword.value }, () => {
+      newPassword.value = "";
+    });
+  });
+
+  lockReveals.addEventListener("change", () => {
+    send({ action: "updateLockOptions", lockReveals: lockReveals.checked });
+  });
+  lockTimeout.addEventListener("change", () => {
+    send({
+      action: "updateLockOptions",
+      timeoutMinutes: parseInt(lockTimeout.value),
+    });
+  });
+
+  document.getElementById("lockNow").addEventListener("click", () => {
+    send({ action: "lock" });
+  });
+  document.getElementById("removePassword").addEventListener("click", () => {
+    send({ action: "removePassword" });
+  });
+}
+
+// The controls setupLockOptionControls handles, for a getLockState
+// response
+function updateLockOptionsUI(state) {
+  document.getElementById("lockOptions").hidden =
+    !state.enabled || state.locked;
+  document.getElementById("passwordForm").hidden = state.locked;
+  document.getElementById("newPassword").placeholder = state.enabled
+    ? "Change password"
+    : "Set a password";
+  document.getElementById("lockReveals").checked = state.lockReveals;
+  document.getElementById("lockTimeout").value = String(state.timeoutMinutes);
+}
+
+// Save errors, or a warning when settings get close to the sync quota
+function showStorageStatus(element, saveResponse = null) {
+  if (saveResponse && !saveResponse.success) {
+    element.textContent = `Settings not saved: ${saveResponse.error}`;
+    element.hidden = false;
+    return;
+  }
+
+  chrome.runtime.sendMessage({ action: "getStorageUsage" }, (usage) => {
+    element.hidden = !usage || !usage.nearQuota;
+    if (element.hidden) return;
+
+    const percent = Math.round((usage.bytesInUse / usage.quota) * 100);
+    element.textContent = usage.local
+      ? "Settings are too large to sync and are saved on this device only"
+      : `Settings use ${percent}% of the sync storage quota`;
+  });
+}
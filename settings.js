@@ -0,0 +1,912 @@
+// Settings schema for the background: defaults, validation, migrations and
+// the one read/write path every other part of the extension goes through.
+// The popup and content scripts get normalized settings from the
+// background via messages and never read storage.sync themselves.
+//
+// Bump SETTINGS_VERSION and add a migration to SETTINGS_MIGRATIONS whenever
+// stored settings need to change shape; new fields with a default need
+// neither, normalizeSettings fills them in.
+
+const SETTINGS_VERSION = 2;
+
+// Exported settings files: { format, version, exportedAt, settings }
+const SETTINGS_FORMAT = "image-blur-filter-settings";
+
+// storage.sync limits (chrome.storage.sync.QUOTA_BYTES_PER_ITEM etc.).
+// Settings are moved to storage.local before they fill the sync quota,
+// and the popup warns from SYNC_WARNING_RATIO of it.
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_MAX_ITEMS = 512;
+const SYNC_BUDGET_RATIO = 0.9;
+const SYNC_WARNING_RATIO = 0.75;
+
+// Settings too large for one sync item are split across numbered keys
+const SYNC_CHUNK_PREFIX = "settings_chunk_";
+const SYNC_CHUNK_LENGTH = 6000;
+
+// Response to reads and saves while the stored settings can't be read in
+// full and there is no good copy to fall back on
+const SETTINGS_UNAVAILABLE_RESPONSE = {
+  success: false,
+  unavailable: true,
+  error: "Settings are still syncing, try again in a moment",
+};
+
+// JSON of the last good copy kept in storage.local, to skip rewriting it
+let lastGoodSettingsJson = null;
+
+// Range of the intensity slider
+const INTENSITY_MIN = 5;
+const INTENSITY_MAX = 50;
+
+// Element types a site profile can restrict blurring to
+const MEDIA_TYPES = ["images", "backgrounds", "videos", "canvas"];
+
+const OBFUSCATION_STYLES = [
+  "blur",
+  "pixelate",
+  "grayscale",
+  "cover",
+  "opacity",
+  "custom",
+];
+
+const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  enabled: true,
+  // "whitelist": blur everywhere except whitelisted sites
+  // "blocklist": blur only on blocklisted sites
+  mode: "whitelist",
+  whitelist: [],
+  blocklist: [],
+  blurIntensity: 10,
+  // How media is hidden: "blur", "pixelate", "grayscale" (grayscale plus
+  // blur), "cover" (solid block with a label), "opacity" or "custom",
+  // which applies the customFilter CSS filter string
+  obfuscation: "blur",
+  customFilter: "",
+  pauseVideos: true,
+  // Per-domain overrides, e.g. { "example.com": { blurIntensity: 30,
+  // obfuscation: "pixelate", mediaTypes: ["backgrounds"] } }
+  siteProfiles: {},
+  // Time windows that switch blurring on or off regardless of the toggle,
+  // e.g. { id, name: "Work hours", days: [1, 2, 3, 4, 5], start: "09:00",
+  // end: "17:00", action: "on", sites: [] }. Empty sites = every site.
+  schedules: [],
+  // Image URL rules whose images are never / always blurred, on any page,
+  // whatever the page rules say. The more specific rule wins.
+  alwaysShowSources: [],
+  alwaysBlurSources: [],
+  // CSS selector rules: { id, action: "blur" | "show", selector, site },
+  // where site is a URL rule, or empty for every site
+  selectorRules: [],
+  // Media whose alt text, title, ARIA label, file name or caption contains
+  // one of these words is always blurred. With keywordsOnly, nothing else
+  // is.
+  keywords: [],
+  keywordsOnly: false,
+  // Images whose class or id contains one of these, or smaller than
+  // minImageSize pixels, are not worth blurring
+  skipPatterns: ["icon", "logo", "avatar", "thumb", "button", "ui-"],
+  minImageSize: 30,
+  // Known images (see image-hash.js) match when their perceptual hashes
+  // differ in at most this many of 64 bits
+  hashThreshold: 6,
+  // When enabled, images stay blurred only if the named classifier (see
+  // classifiers.js) scores them at threshold percent or more
+  classifier: {
+    enabled: false,
+    name: "skin-tone",
+    threshold: 30,
+  },
+  // Images revealed one by one are remembered in storage.local by URL,
+  // either for the site they were revealed on or everywhere.
+  // expiryDays: 0 keeps them until cleared.
+  rememberReveals: {
+    enabled: true,
+    perSite: true,
+    expiryDays: 30,
+    maxEntries: 500,
+  },
+  // Named setting sets, e.g. "Work" or "Incognito": { id, name, color,
+  // settings }, where settings holds every SETTING_SET_KEYS value. The
+  // values at the top level form the default set.
+  settingSets: [],
+  // Set chosen with the popup's switch, "" for the default one
+  activeSettingSet: "",
+  // Set used in incognito tabs instead, "" to follow the active one
+  incognitoSettingSet: "",
+};
+
+// Settings a setting set has its own copy of. Schedules, detection
+// heuristics and remembered reveals stay shared by all sets.
+const SETTING_SET_KEYS = [
+  "enabled",
+  "mode",
+  "whitelist",
+  "blocklist",
+  "blurIntensity",
+  "obfuscation",
+  "customFilter",
+  "pauseVideos",
+  "siteProfiles",
+  "alwaysShowSources",
+  "alwaysBlurSources",
+  "selectorRules",
+  "keywords",
+  "keywordsOnly",
+];
+
+// Keys holding lists of URL rules
+const RULE_LIST_KEYS = [
+  "whitelist",
+  "blocklist",
+  "alwaysShowSources",
+  "alwaysBlurSources",
+];
+
+// Forward migrations, keyed by the version they produce. Settings saved
+// before versioning count as version 1.
+const SETTINGS_MIGRATIONS = {
+  // Rules were stored as typed before the rule engine; it expects hosts in
+  // lower case and no scheme
+  2: (settings) => {
+    for (const key of RULE_LIST_KEYS) {
+      if (isStringList(settings[key])) {
+        settings[key] = settings[key].map(normalizeUrlRule);
+      }
+    }
+    if (isPlainObject(settings.siteProfiles)) {
+      settings.siteProfiles = Object.fromEntries(
+        Object.entries(settings.siteProfiles).map(([site, profile]) => [
+          normalizeUrlRule(site),
+          profile,
+        ])
+      );
+    }
+  },
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+function isIntensity(value) {
+  return (
+    Number.isFinite(value) && value >= INTENSITY_MIN && value <= INTENSITY_MAX
+  );
+}
+
+function isValidSchedule(schedule) {
+  return (
+    isPlainObject(schedule) &&
+    Array.isArray(schedule.days) &&
+    schedule.days.every(
+      (day) => Number.isInteger(day) && day >= 0 && day <= 6
+    ) &&
+    /^\d\d:\d\d$/.test(schedule.start) &&
+    /^\d\d:\d\d$/.test(schedule.end) &&
+    (schedule.action === "on" || schedule.action === "off") &&
+    (!schedule.sites ||
+      (isStringList(schedule.sites) &&
+        schedule.sites.every((site) => !validateUrlRule(site))))
+  );
+}
+
+// Valid schedules with every field the editors rely on: sites, a name,
+// and an id unique in the list, which older or hand-written ones may lack
+function normalizeSchedules(schedules) {
+  const ids = new Set();
+  return schedules.filter(isValidSchedule).map((schedule, index) => {
+    let id =
+      typeof schedule.id === "string" && schedule.id !== ""
+        ? schedule.id
+        : `schedule-${index}`;
+    while (ids.has(id)) {
+      id += "-";
+    }
+    ids.add(id);
+
+    return {
+      id,
+      name:
+        typeof schedule.name === "string" && schedule.name.trim() !== ""
+          ? schedule.name.trim()
+          : `Schedule ${index + 1}`,
+      days: Array.from(new Set(schedule.days)).sort((a, b) => a - b),
+      start: schedule.start,
+      end: schedule.end,
+      action: schedule.action,
+      sites: schedule.sites || [],
+    };
+  });
+}
+
+function isValidSelectorRule(rule) {
+  return (
+    isPlainObject(rule) &&
+    (rule.action === "blur" || rule.action === "show") &&
+    typeof rule.selector === "string" &&
+    rule.selector.trim() !== "" &&
+    (!rule.site || !validateUrlRule(rule.site))
+  );
+}
+
+function isValidProfile(profile) {
+  return (
+    isPlainObject(profile) &&
+    (!("blurIntensity" in profile) || isIntensity(profile.blurIntensity)) &&
+    (!("mediaTypes" in profile) ||
+      (isStringList(profile.mediaTypes) &&
+        profile.mediaTypes.every((type) => MEDIA_TYPES.includes(type)))) &&
+    (!("obfuscation" in profile) ||
+      OBFUSCATION_STYLES.includes(profile.obfuscation))
+  );
+}
+
+function isValidSettingSet(set) {
+  return (
+    isPlainObject(set) &&
+    typeof set.id === "string" &&
+    set.id !== "" &&
+    typeof set.name === "string" &&
+    set.name.trim() !== "" &&
+    isPlainObject(set.settings)
+  );
+}
+
+function pickSettingSetKeys(settings) {
+  return Object.fromEntries(
+    SETTING_SET_KEYS.map((key) => [key, settings[key]])
+  );
+}
+
+// Setting sets with their settings normalized like the top-level ones.
+// Of two sets with the same id, e.g. after a merged import, the later one
+// wins.
+function normalizeSettingSets(sets) {
+  const byId = new Map();
+  for (const set of sets.filter(isValidSettingSet)) {
+    byId.set(set.id, {
+      id: set.id,
+      name: set.name.trim(),
+      color: /^#[0-9a-f]{6}$/i.test(set.color) ? set.color : "#4CAF50",
+      settings: pickSettingSetKeys(normalizeSettings(set.settings)),
+    });
+  }
+  return Array.from(byId.values());
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(number)));
+}
+
+function migrateSettings(settings, fromVersion) {
+  const migrated = { ...settings };
+  for (
+    let version = (fromVersion || 1) + 1;
+    version <= SETTINGS_VERSION;
+    version++
+  ) {
+    if (SETTINGS_MIGRATIONS[version]) {
+      SETTINGS_MIGRATIONS[version](migrated);
+    }
+  }
+  migrated.version = SETTINGS_VERSION;
+  return migrated;
+}
+
+// Complete, in-range settings from whatever is stored or sent: defaults
+// for missing or mistyped fields, numbers clamped, invalid rules and
+// entries dropped, unknown keys removed
+function normalizeSettings(raw) {
+  const source = isPlainObject(raw) ? raw : {};
+  const pick = (key, valid) =>
+    key in source && valid(source[key])
+      ? source[key]
+      : structuredClone(DEFAULT_SETTINGS[key]);
+  const isBoolean = (value) => typeof value === "boolean";
+  const isString = (value) => typeof value === "string";
+
+  const ruleList = (key) =>
+    Array.from(
+      new Set(
+        pick(key, isStringList)
+          .map((rule) => rule.trim())
+          .filter((rule) => rule && !validateUrlRule(rule))
+      )
+    );
+
+  const siteProfiles = {};
+  for (const [site, profile] of Object.entries(
+    pick("siteProfiles", isPlainObject)
+  )) {
+    if (validateUrlRule(site) || !isPlainObject(profile)) continue;
+
+    const normalized = { ...profile };
+    if ("blurIntensity" in profile) {
+      normalized.blurIntensity = clampNumber(
+        profile.blurIntensity,
+        INTENSITY_MIN,
+        INTENSITY_MAX,
+        DEFAULT_SETTINGS.blurIntensity
+      );
+    }
+    if ("mediaTypes" in profile) {
+      normalized.mediaTypes = isStringList(profile.mediaTypes)
+        ? profile.mediaTypes.filter((type) => MEDIA_TYPES.includes(type))
+        : MEDIA_TYPES.slice();
+    }
+    if (!OBFUSCATION_STYLES.includes(profile.obfuscation)) {
+      delete normalized.obfuscation;
+    }
+    siteProfiles[site] = normalized;
+  }
+
+  const rememberReveals = {
+    ...DEFAULT_SETTINGS.rememberReveals,
+    ...pick("rememberReveals", isPlainObject),
+  };
+
+  const classifier = {
+    ...DEFAULT_SETTINGS.classifier,
+    ...pick("classifier", isPlainObject),
+  };
+
+  const settingSets = normalizeSettingSets(
+    pick("settingSets", Array.isArray)
+  );
+  const settingSetId = (key) =>
+    settingSets.some((set) => set.id === source[key]) ? source[key] : "";
+
+  return {
+    version: SETTINGS_VERSION,
+    enabled: pick("enabled", isBoolean),
+    mode: source.mode === "blocklist" ? "blocklist" : "whitelist",
+    whitelist: ruleList("whitelist"),
+    blocklist: ruleList("blocklist"),
+    blurIntensity: clampNumber(
+      source.blurIntensity,
+      INTENSITY_MIN,
+      INTENSITY_MAX,
+      DEFAULT_SETTINGS.blurIntensity
+    ),
+    obfuscation: OBFUSCATION_STYLES.includes(source.obfuscation)
+      ? source.obfuscation
+      : DEFAULT_SETTINGS.obfuscation,
+    customFilter: pick("customFilter", isString).trim(),
+    pauseVideos: pick("pauseVideos", isBoolean),
+    siteProfiles,
+    schedules: normalizeSchedules(pick("schedules", Array.isArray)),
+    alwaysShowSources: ruleList("alwaysShowSources"),
+    alwaysBlurSources: ruleList("alwaysBlurSources"),
+    selectorRules: pick("selectorRules", Array.isArray).filter(
+      isValidSelectorRule
+    ),
+    keywords: Array.from(
+      new Set(
+        pick("keywords", isStringList)
+          .map((keyword) => keyword.trim().toLowerCase())
+          .filter(Boolean)
+      )
+    ),
+    keywordsOnly: pick("keywordsOnly", isBoolean),
+    skipPatterns: pick("skipPatterns", isStringList)
+      .map((pattern) => pattern.trim().toLowerCase())
+      .filter(Boolean),
+    minImageSize: clampNumber(
+      source.minImageSize,
+      0,
+      1000,
+      DEFAULT_SETTINGS.minImageSize
+    ),
+    hashThreshold: clampNumber(
+      source.hashThreshold,
+      0,
+      20,
+      DEFAULT_SETTINGS.hashThreshold
+    ),
+    classifier: {
+      enabled: classifier.enabled === true,
+      name: isString(classifier.name)
+        ? classifier.name
+        : DEFAULT_SETTINGS.classifier.name,
+      threshold: clampNumber(classifier.threshold, 0, 100, 30),
+    },
+    rememberReveals: {
+      enabled: rememberReveals.enabled !== false,
+      perSite: rememberReveals.perSite !== false,
+      expiryDays: clampNumber(rememberReveals.expiryDays, 0, 3650, 30),
+      maxEntries: clampNumber(rememberReveals.maxEntries, 1, 5000, 500),
+    },
+    settingSets,
+    activeSettingSet: settingSetId("activeSettingSet"),
+    incognitoSettingSet: settingSetId("incognitoSettingSet"),
+  };
+}
+
+// Problems with a settings object, as messages naming the offending key.
+// Used for imports, where silently dropping data would be a surprise.
+function validateSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return ["settings must be an object"];
+  }
+
+  const errors = [];
+  const check = (key, valid, message) => {
+    if (key in settings && !valid(settings[key])) {
+      errors.push(`${key}: ${message}`);
+    }
+  };
+  const isBoolean = (value) => typeof value === "boolean";
+
+  check("enabled", isBoolean, "must be true or false");
+  check("pauseVideos", isBoolean, "must be true or false");
+  check(
+    "mode",
+    (value) => value === "whitelist" || value === "blocklist",
+    'must be "whitelist" or "blocklist"'
+  );
+  check(
+    "blurIntensity",
+    isIntensity,
+    `must be a number from ${INTENSITY_MIN} to ${INTENSITY_MAX}`
+  );
+  check(
+    "obfuscation",
+    (value) => OBFUSCATION_STYLES.includes(value),
+    `must be one of ${OBFUSCATION_STYLES.join(", ")}`
+  );
+  check("customFilter", (value) => typeof value === "string", "must be text");
+  check("keywords", isStringList, "must be a list of text");
+  check("keywordsOnly", isBoolean, "must be true or false");
+  check("skipPatterns", isStringList, "must be a list of text");
+  check(
+    "minImageSize",
+    (value) => Number.isFinite(value) && value >= 0,
+    "must be a positive number"
+  );
+
+  // URL rule lists, down to each rule
+  for (const key of RULE_LIST_KEYS) {
+    check(key, isStringList, "must be a list of rules");
+    if (!isStringList(settings[key])) continue;
+
+    settings[key].forEach((rule, index) => {
+      const error = validateUrlRule(rule);
+      if (error) errors.push(`${key}[${index}]: ${error}`);
+    });
+  }
+
+  check("siteProfiles", isPlainObject, "must be an object");
+  if (isPlainObject(settings.siteProfiles)) {
+    for (const [site, profile] of Object.entries(settings.siteProfiles)) {
+      const error = validateUrlRule(site);
+      if (error) {
+        errors.push(`siteProfiles["${site}"]: ${error}`);
+      } else if (!isValidProfile(profile)) {
+        errors.push(`siteProfiles["${site}"]: invalid profile`);
+      }
+    }
+  }
+
+  check(
+    "schedules",
+    (value) => Array.isArray(value) && value.every(isValidSchedule),
+    "must be a list of valid schedules"
+  );
+  check(
+    "selectorRules",
+    (value) => Array.isArray(value) && value.every(isValidSelectorRule),
+    "must be a list of valid element rules"
+  );
+  check(
+    "rememberReveals",
+    (value) =>
+      isPlainObject(value) &&
+      Object.values(value).every(
+        (option) => typeof option === "boolean" || Number.isFinite(option)
+      ),
+    "must be an object of options"
+  );
+
+  check(
+    "hashThreshold",
+    (value) => Number.isInteger(value) && value >= 0 && value <= 20,
+    "must be a whole number from 0 to 20"
+  );
+  check(
+    "classifier",
+    (value) =>
+      isPlainObject(value) &&
+      (!("threshold" in value) ||
+        (Number.isFinite(value.threshold) &&
+          value.threshold >= 0 &&
+          value.threshold <= 100)),
+    "must be an object with a threshold from 0 to 100"
+  );
+
+  check("settingSets", Array.isArray, "must be a list of setting sets");
+  if (Array.isArray(settings.settingSets)) {
+    settings.settingSets.forEach((set, index) => {
+      if (!isValidSettingSet(set)) {
+        errors.push(`settingSets[${index}]: invalid setting set`);
+        return;
+      }
+      for (const error of validateSettings(set.settings)) {
+        errors.push(`settingSets[${index}].${error}`);
+      }
+    });
+  }
+  for (const key of ["activeSettingSet", "incognitoSettingSet"]) {
+    check(key, (value) => typeof value === "string", "must be a set id");
+  }
+
+  return errors;
+}
+
+// Id of the setting set that applies to a tab, "" for the default set
+function getActiveSettingSetId(settings, incognito = false) {
+  return (
+    (incognito && settings.incognitoSettingSet) || settings.activeSettingSet
+  );
+}
+
+// Settings with a setting set's values in place of the default ones, and
+// settingSet naming the set, so edits can be stored back into it
+function applySettingSet(settings, setId) {
+  const set = settings.settingSets.find((other) => other.id === setId);
+  if (!set) {
+    return { ...settings, settingSet: "" };
+  }
+  return { ...settings, ...structuredClone(set.settings), settingSet: set.id };
+}
+
+// The single read path for settings as they apply to a tab, or as edited
+// in one set when setId is given. Calls back like loadSettings.
+function loadSettingsForSet(setId, incognito, callback) {
+  loadSettings((settings, unresolved) => {
+    if (!settings) {
+      callback(null, unresolved);
+      return;
+    }
+
+    const id =
+      setId === undefined || setId === null
+        ? getActiveSettingSetId(settings, incognito)
+        : setId;
+    callback(applySettingSet(settings, id), unresolved);
+  });
+}
+
+// Store settings obtained from applySettingSet: the set's values go back
+// into the set, the default set keeps its stored values. Refused while the
+// stored settings can't be read in full.
+function storeSettingsForSet(settings, setId, callback = () => {}) {
+  loadSettings((stored, unresolved) => {
+    if (unresolved) {
+      callback(SETTINGS_UNAVAILABLE_RESPONSE);
+      return;
+    }
+    if (!setId) {
+      storeSettings(settings, callback);
+      return;
+    }
+
+    if (!stored.settingSets.some((set) => set.id === setId)) {
+      callback({ success: false, error: "That setting set no longer exists" });
+      return;
+    }
+
+    const updated = { ...settings, ...pickSettingSetKeys(stored) };
+    updated.settingSets = (settings.settingSets || stored.settingSets).map(
+      (set) =>
+        set.id === setId
+          ? { ...set, settings: pickSettingSetKeys(settings) }
+          : set
+    );
+    storeSettings(updated, callback);
+  });
+}
+
+function getByteSize(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+// Split serialized settings so every piece fits in one sync item, as
+// measured by Chrome: key plus JSON of the value, in UTF-8
+function splitIntoChunks(text) {
+  const chunks = [];
+  for (let offset = 0; offset < text.length; ) {
+    let length = SYNC_CHUNK_LENGTH;
+    const key = SYNC_CHUNK_PREFIX + chunks.length;
+    while (
+      getByteSize(key + JSON.stringify(text.substr(offset, length))) >
+      SYNC_QUOTA_BYTES_PER_ITEM
+    ) {
+      length = Math.floor(length / 2);
+    }
+    chunks.push(text.substr(offset, length));
+    offset += length;
+  }
+  return chunks;
+}
+
+// Raw stored settings, wherever they live. Settings too large for sync
+// are kept in storage.local with settingsLocation: "local", on the device
+// that saved them only. Otherwise the sync "settings" item is one of:
+//   the settings object itself, when it fits in one item
+//   { chunks, updatedAt }, with the JSON split over settings_chunk_<n>
+// updatedAt makes every save change the item, so listeners on
+// storage.onChanged("settings") always hear about it. Calls back with null
+// when the settings can't be read in full.
+function readStoredSettings(callback) {
+  chrome.storage.local.get(["settings", "settingsLocation"], (local) => {
+    if (local.settingsLocation === "local" && isPlainObject(local.settings)) {
+      callback(local.settings);
+      return;
+    }
+
+    chrome.storage.sync.get(null, (items) => {
+      const stored = items.settings;
+
+      if (stored && Number.isInteger(stored.chunks)) {
+        let json = "";
+        for (let index = 0; index < stored.chunks; index++) {
+          json += items[SYNC_CHUNK_PREFIX + index] || "";
+        }
+        try {
+          callback(JSON.parse(json));
+        } catch (e) {
+          // A chunk is missing, e.g. sync hasn't delivered it yet
+          callback(null);
+        }
+        return;
+      }
+
+      callback(stored || {});
+    });
+  });
+}
+
+// The single read path: stored settings, migrated and normalized. When
+// they can't be read in full, calls back with the last good copy and
+// unresolved set, or with null when there is no copy; never with the
+// defaults, which would then be saved over the real settings.
+function loadSettings(callback) {
+  readStoredSettings((stored) => {
+    if (stored) {
+      const settings = normalizeSettings(
+        migrateSettings(stored, stored.version)
+      );
+      keepLastGoodSettings(settings);
+      callback(settings, false);
+      return;
+    }
+
+    chrome.storage.local.get(["lastGoodSettings"], (result) => {
+      callback(
+        isPlainObject(result.lastGoodSettings)
+          ? normalizeSettings(result.lastGoodSettings)
+          : null,
+        true
+      );
+    });
+  });
+}
+
+// Settings read or stored in full, kept for when the next read isn't
+function keepLastGoodSettings(settings) {
+  const json = JSON.stringify(settings);
+  if (json === lastGoodSettingsJson) return;
+
+  lastGoodSettingsJson = json;
+  chrome.storage.local.set({ lastGoodSettings: settings });
+}
+
+// Normalize and store settings: in one sync item when they fit, in chunks
+// when they don't, and in storage.local when even that would use up the
+// sync quota. Calls back with { success, error } or { success, warning }.
+function storeSettings(settings, callback = () => {}) {
+  const normalized = normalizeSettings(settings);
+  const json = JSON.stringify(normalized);
+  const updatedAt = Date.now();
+
+  let items;
+  if (getByteSize("settings" + json) <= SYNC_QUOTA_BYTES_PER_ITEM) {
+    items = { settings: normalized };
+  } else {
+    const chunks = splitIntoChunks(json);
+    items = { settings: { chunks: chunks.length, updatedAt } };
+    chunks.forEach((chunk, index) => {
+      items[SYNC_CHUNK_PREFIX + index] = chunk;
+    });
+  }
+
+  const itemCount = Object.keys(items).length;
+  const totalBytes = Object.entries(items).reduce(
+    (total, [key, value]) => total + getByteSize(key + JSON.stringify(value)),
+    0
+  );
+  const fitsSync =
+    itemCount < SYNC_MAX_ITEMS &&
+    totalBytes <= SYNC_QUOTA_BYTES * SYNC_BUDGET_RATIO;
+
+  // Other devices keep the last settings that fitted in sync
+  if (!fitsSync) {
+    chrome.storage.local.set(
+      { settings: normalized, settingsLocation: "local" },
+      () => {
+        if (chrome.runtime.lastError) {
+          callback({
+            success: false,
+            error: chrome.runtime.lastError.message,
+          });
+          return;
+        }
+        keepLastGoodSettings(normalized);
+        callback({
+          success: true,
+          warning: "Settings are too large to sync, saved on this device only",
+        });
+      }
+    );
+    return;
+  }
+
+  writeSyncItems(items, (error) => {
+    if (error) {
+      callback({ success: false, error });
+      return;
+    }
+    chrome.storage.local.remove(["settings", "settingsLocation"]);
+    keepLastGoodSettings(normalized);
+    callback({ success: true });
+  });
+}
+
+// Write sync items and remove chunks left over from a larger save.
+// Calls back with an error message, or nothing on success.
+function writeSyncItems(items, callback) {
+  chrome.storage.sync.set(items, () => {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+      return;
+    }
+
+    chrome.storage.sync.get(null, (stored) => {
+      const staleChunks = Object.keys(stored).filter(
+        (key) => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in items)
+      );
+      if (staleChunks.length > 0) {
+        chrome.storage.sync.remove(staleChunks, () => callback());
+      } else {
+        callback();
+      }
+    });
+  });
+}
+
+// How much of the sync quota the settings use, for the popup's warning
+function getStorageUsage(callback) {
+  chrome.storage.local.get(["settingsLocation"], (result) => {
+    chrome.storage.sync.getBytesInUse(null, (bytesInUse) => {
+      const local = result.settingsLocation === "local";
+      callback({
+        bytesInUse,
+        quota: SYNC_QUOTA_BYTES,
+        local,
+        nearQuota:
+          local || bytesInUse >= SYNC_QUOTA_BYTES * SYNC_WARNING_RATIO,
+      });
+    });
+  });
+}
+
+// Rewrite stored settings in the current schema, on install, update and
+// browser startup
+function upgradeStoredSettings() {
+  readStoredSettings((stored) => {
+    // Never overwrite settings that are only partly synced yet
+    if (!stored || stored.version === SETTINGS_VERSION) return;
+
+    storeSettings(migrateSettings(stored, stored.version));
+  });
+}
+
+function exportSettings(settings) {
+  return {
+    format: SETTINGS_FORMAT,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+}
+
+// Validate an exported settings document and save it, either replacing the
+// current settings or merged into them. Responds with every problem found
+// instead of saving a partly valid file.
+function importSettings(data, merge, callback) {
+  if (!isPlainObject(data) || data.format !== SETTINGS_FORMAT) {
+    callback({
+      success: false,
+      errors: ["Not an Image Blur Filter settings file"],
+    });
+    return;
+  }
+  if (!Number.isInteger(data.version) || data.version > SETTINGS_VERSION) {
+    callback({
+      success: false,
+      errors: [`Unsupported settings version: ${data.version}`],
+    });
+    return;
+  }
+  if (!isPlainObject(data.settings)) {
+    callback({ success: false, errors: ["settings must be an object"] });
+    return;
+  }
+
+  // Files from older versions are brought up to date first
+  const migrated = migrateSettings(data.settings, data.version);
+  const errors = validateSettings(migrated);
+  if (errors.length > 0) {
+    callback({ success: false, errors });
+    return;
+  }
+
+  // Keys this version doesn't know about are dropped
+  const imported = Object.fromEntries(
+    Object.entries(migrated).filter(([key]) => key in DEFAULT_SETTINGS)
+  );
+
+  loadSettings((current, unresolved) => {
+    // Merging into a partial read would lose what's missing
+    if (merge && unresolved) {
+      callback({
+        success: false,
+        errors: [SETTINGS_UNAVAILABLE_RESPONSE.error],
+      });
+      return;
+    }
+
+    storeSettings(
+      merge ? mergeSettings(current, imported) : imported,
+      (response) =>
+        callback(
+          response.success
+            ? response
+            : { success: false, errors: [response.error] }
+        )
+    );
+  });
+}
+
+// Lists are combined without duplicates, site profiles and objects are
+// merged key by key, everything else is taken from the import
+function mergeSettings(current, imported) {
+  const merged = { ...current };
+
+  for (const [key, value] of Object.entries(imported)) {
+    if (Array.isArray(value)) {
+      const existing = current[key] || [];
+      const seen = new Set(existing.map((item) => JSON.stringify(item)));
+      merged[key] = existing.concat(
+        value.filter((item) => !seen.has(JSON.stringify(item)))
+      );
+    } else if (isPlainObject(value)) {
+      merged[key] = { ...current[key], ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,118 @@
+// Blur statistics reported by content scripts. Counts per tab live in
+// storage.session (shown in the badge, reset when the tab navigates);
+// lifetime totals per site live in storage.local until reset from the
+// popup, for normal tabs only. Reports are batched so a busy page costs
+// one write per second.
+
+const STATS_KEYS = ["images", "backgrounds", "videos", "canvas", "revealed"];
+const STATS_FLUSH_DELAY = 1000;
+
+let pendingStats = { tabs: {}, sites: {} };
+let statsFlushTimer = null;
+
+function createStats() {
+  return Object.fromEntries(STATS_KEYS.map((key) => [key, 0]));
+}
+
+function addStats(target, delta) {
+  const stats = { ...createStats(), ...target };
+  for (const key of STATS_KEYS) {
+    stats[key] += Number(delta[key]) || 0;
+  }
+  return stats;
+}
+
+// Media blurred, i.e. everything except reveals
+function countBlurred(stats) {
+  return STATS_KEYS.filter((key) => key !== "revealed").reduce(
+    (total, key) => total + ((stats && stats[key]) || 0),
+    0
+  );
+}
+
+function recordStats(tabId, site, delta) {
+  if (tabId !== undefined) {
+    pendingStats.tabs[tabId] = addStats(pendingStats.tabs[tabId], delta);
+  }
+  if (site) {
+    pendingStats.sites[site] = addStats(pendingStats.sites[site], delta);
+  }
+
+  if (!statsFlushTimer) {
+    statsFlushTimer = setTimeout(flushStats, STATS_FLUSH_DELAY);
+  }
+}
+
+function flushStats() {
+  const { tabs, sites } = pendingStats;
+  pendingStats = { tabs: {}, sites: {} };
+  statsFlushTimer = null;
+
+  chrome.storage.session.get(["tabStats"], (result) => {
+    const tabStats = result.tabStats || {};
+    for (const [tabId, delta] of Object.entries(tabs)) {
+      tabStats[tabId] = addStats(tabStats[tabId], delta);
+    }
+    chrome.storage.session.set({ tabStats }, () => {
+      for (const tabId of Object.keys(tabs)) {
+        updateBadge(Number(tabId));
+      }
+    });
+  });
+
+  chrome.storage.local.get(["siteStats"], (result) => {
+    const siteStats = result.siteStats || {};
+    for (const [site, delta] of Object.entries(sites)) {
+      siteStats[site] = addStats(siteStats[site], delta);
+    }
+    chrome.storage.local.set({ siteStats });
+  });
+}
+
+function getTabStats(tabId, callback) {
+  chrome.storage.session.get(["tabStats"], (result) => {
+    callback(addStats((result.tabStats || {})[tabId], {}));
+  });
+}
+
+function clearTabStats(tabId) {
+  delete pendingStats.tabs[tabId];
+  chrome.storage.session.get(["tabStats"], (result) => {
+    const tabStats = result.tabStats || {};
+    if (!tabStats[tabId]) return;
+
+    delete tabStats[tabId];
+    chrome.storage.session.set({ tabStats });
+  });
+}
+
+// Counts for the popup: this page, this site's lifetime, and all sites
+function getStats({ tabId, site }, callback) {
+  getTabStats(tabId, (tab) => {
+    chrome.storage.local.get(["siteStats"], (result) => {
+      const siteStats = result.siteStats || {};
+      callback({
+        tab,
+        site: addStats(siteStats[site], {}),
+        total: Object.values(siteStats).reduce(addStats, createStats()),
+        siteCount: Object.keys(siteStats).length,
+      });
+    });
+  });
+}
+
+// Reset lifetime totals of one site, or of every site
+function resetStats(site, callback) {
+  if (!site) {
+    pendingStats.sites = {};
+    chrome.storage.local.set({ siteStats: {} }, callback);
+    return;
+  }
+
+  delete pendingStats.sites[site];
+  chrome.storage.local.get(["siteStats"], (result) => {
+    const siteStats = result.siteStats || {};
+    delete siteStats[site];
+    chrome.storage.local.set({ siteStats }, callback);
+  });
+}